@@ -0,0 +1,78 @@
+// ============================================
+// A11Y — Dialog focus management and live-region
+// announcements. Shared by script.js (entry popup)
+// and wishlist.js (suggestion form).
+// ============================================
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled])',
+    'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const dialogStack = [];  // { overlay, returnFocus }, topmost last
+
+function focusableIn(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => !el.closest('[hidden]'));
+}
+
+// Show an overlay as a modal dialog: remembers what had focus, moves focus
+// inside, and keeps Tab cycling within it until closeDialog().
+function openDialog(overlay, focusTarget) {
+    if (!overlay) return;
+    if (!dialogStack.some(d => d.overlay === overlay)) {
+        dialogStack.push({ overlay, returnFocus: document.activeElement });
+    }
+    overlay.setAttribute('aria-hidden', 'false');
+    const target = focusTarget || focusableIn(overlay)[0];
+    if (target) target.focus({ preventScroll: true });
+}
+
+// Hide a dialog and hand focus back to whatever opened it (if it still exists)
+function closeDialog(overlay) {
+    if (!overlay) return;
+    overlay.setAttribute('aria-hidden', 'true');
+    const i = dialogStack.findIndex(d => d.overlay === overlay);
+    if (i < 0) return;
+    const [{ returnFocus }] = dialogStack.splice(i, 1);
+    if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+        returnFocus.focus({ preventScroll: true });
+    }
+}
+
+function initDialogFocusTrap() {
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Tab' || dialogStack.length === 0) return;
+        const { overlay } = dialogStack[dialogStack.length - 1];
+        const items = focusableIn(overlay);
+        if (items.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = items[0];
+        const last = items[items.length - 1];
+        const inside = overlay.contains(document.activeElement);
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+}
+
+// ============================================
+// LIVE REGION
+// ============================================
+
+let announceTimer = null;
+
+// Polite screen-reader announcement. Cleared first so repeating the same
+// message is still read out.
+function announce(message) {
+    const region = document.getElementById('live-region');
+    if (!region || !message) return;
+    region.textContent = '';
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => { region.textContent = message; }, 50);
+}
@@ -0,0 +1,100 @@
+// ============================================
+// LAYOUT BENCHMARK — times computeLayout on
+// synthetic galleries and checks that the
+// indexed overlap pass places every hex exactly
+// where the original linear scan did.
+//
+//   node bench/layout-bench.js [sizes...]
+//   node bench/layout-bench.js 200 1000 5000
+// ============================================
+
+const L = require('../layout.js');
+
+// Every type getHexSizeClass distinguishes
+const TYPES = ['setup', 'feature', 'fix', 'refactor', 'test', 'docs', 'deploy', 'repo',
+    'hardware_service', 'agent_service', 'software_service'];
+
+// Deterministic entries: bursty timestamps so the time axis has real collisions
+function makeEntries(n, types) {
+    let seed = 42;
+    const rand = () => (seed = (seed * 1664525 + 1013904223) >>> 0) / 4294967296;
+    let t = Date.UTC(2025, 0, 1);
+    return Array.from({ length: n }, (_, i) => {
+        t += rand() < 0.7 ? rand() * 20 * 60 * 1000 : rand() * 3 * 24 * 60 * 60 * 1000;
+        return {
+            id: String(i + 1).padStart(3, '0'),
+            timestamp: new Date(t).toISOString().slice(0, 16).replace('T', ' '),
+            type: types[Math.floor(rand() * types.length)],
+            title: `entry ${i + 1}`
+        };
+    });
+}
+
+// The pre-index algorithm: every hex checked against every earlier one
+function computeLayoutLinear(entries, cfg, axis) {
+    const positions = [];
+    const scale = axis === 'time' ? L.computeTimeScale(entries, cfg) : null;
+    entries.forEach((entry, i) => {
+        const sizeClass = L.getHexSizeClass(entry, i, cfg);
+        const size = L.getScaledSize(sizeClass, cfg);
+        const y = L.computeHexY(i, size.h, cfg);
+        const jitter = ((i * 73 + 17) % 81) - 40;
+        let x = scale ? scale.toX(L.entryTime(entry)) : cfg.padX + i * cfg.baseSpacing + jitter;
+        let iter = 0;
+        while (iter < 80) {
+            let hit = false;
+            for (const p of positions) {
+                if (L.rectsOverlap(x, y, size.w, size.h, p.x, p.y, p.w, p.h, cfg.minGap)) {
+                    x = p.x + (p.w + size.w) / 2 + cfg.minGap;
+                    hit = true;
+                    break;
+                }
+            }
+            if (!hit) break;
+            iter++;
+        }
+        positions.push({ x, y, w: size.w, h: size.h, sizeClass });
+    });
+    return positions;
+}
+
+function time(fn, runs) {
+    fn();  // warm up
+    const start = process.hrtime.bigint();
+    for (let r = 0; r < runs; r++) fn();
+    return Number(process.hrtime.bigint() - start) / 1e6 / runs;
+}
+
+const LINEAR_MAX = 5000;  // the quadratic reference gets too slow beyond this
+const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+if (sizes.length === 0) sizes.push(200, 1000, 5000, 20000);
+
+let failures = 0;
+for (const width of [1440, 800, 400]) {
+    const cfg = L.getLayoutConfig(width);
+    console.log(`\nviewport ${width}px`);
+    console.log('      n  axis     indexed ms   linear ms   identical');
+
+    for (const n of sizes) {
+        const entries = makeEntries(n, TYPES);
+        for (const axis of ['index', 'time']) {
+            const runs = n <= 1000 ? 20 : 3;
+            const indexedMs = time(() => L.computeLayout(entries, cfg, axis), runs);
+            let linearMs = '-', identical = '-';
+            if (n <= LINEAR_MAX) {
+                linearMs = time(() => computeLayoutLinear(entries, cfg, axis), n <= 1000 ? runs : 1).toFixed(2);
+                const a = L.computeLayout(entries, cfg, axis);
+                const b = computeLayoutLinear(entries, cfg, axis);
+                const same = a.length === b.length && a.every((p, i) => p.x === b[i].x && p.y === b[i].y && p.sizeClass === b[i].sizeClass);
+                identical = same ? 'yes' : 'NO';
+                if (!same) failures++;
+            }
+            console.log(`${String(n).padStart(7)}  ${axis.padEnd(5)}  ${indexedMs.toFixed(2).padStart(11)}  ${String(linearMs).padStart(10)}   ${identical}`);
+        }
+    }
+}
+
+if (failures > 0) {
+    console.error(`\n${failures} layout(s) differ from the linear scan`);
+    process.exit(1);
+}
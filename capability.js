@@ -0,0 +1,267 @@
+// ============================================
+// CAPABILITY CHECKER — "What can my robot run?"
+// A lab ticks the services its Tidybot has; every
+// skill is then marked runnable, blocked (with what
+// is missing, through its dependencies too) or
+// unknown. The profile is kept in localStorage.
+// ============================================
+
+const ROBOT_PROFILE_KEY = 'robot_profile';
+
+// SDK modules that talk to a service: a ticked service of that type
+// (classifyServiceRepo) whose name starts with the prefix, so realsense-slam
+// doesn't pass for a camera. display and rewind run inside the SDK itself.
+const SDK_MODULE_SERVICES = {
+    arm:     { type: 'hardware_service', prefix: 'arm_',     label: 'an arm service' },
+    base:    { type: 'hardware_service', prefix: 'base_',    label: 'a base service' },
+    gripper: { type: 'hardware_service', prefix: 'gripper_', label: 'a gripper service' },
+    sensors: { type: 'hardware_service', prefix: 'camera_',  label: 'a camera service' },
+    yolo:    { type: 'software_service', prefix: 'yolo_',    label: 'a YOLO service' }
+};
+const SDK_BUILTIN_MODULES = ['display', 'rewind'];
+
+const CAPABILITY_LABELS = { runnable: 'Runnable', blocked: 'Blocked', unknown: 'Unknown' };
+
+const capabilityState = {
+    services: new Set(loadRobotProfile()),  // titles of the services the robot has
+    version: 0,                             // bumped on every profile change
+    cache: { key: null, byTitle: new Map() }
+};
+
+// Runs while the script loads, so blocked storage (privacy modes, sandboxed
+// iframes) must not throw: the checker then just starts without a profile
+function loadRobotProfile() {
+    let raw;
+    try {
+        raw = localStorage.getItem(ROBOT_PROFILE_KEY);
+    } catch (e) {
+        return [];
+    }
+    try {
+        const saved = JSON.parse(raw || 'null');
+        return Array.isArray(saved?.services) ? saved.services.filter(s => typeof s === 'string') : [];
+    } catch (e) {
+        saveRobotProfile([]);
+        return [];
+    }
+}
+
+// Without storage the profile only lasts until the page is closed
+function saveRobotProfile(services) {
+    try {
+        if (services.length === 0) {
+            localStorage.removeItem(ROBOT_PROFILE_KEY);
+        } else {
+            localStorage.setItem(ROBOT_PROFILE_KEY, JSON.stringify({ services }));
+        }
+    } catch (e) {
+        // Storage blocked or full
+    }
+}
+
+// Nothing is marked until at least one service is ticked
+function capabilityActive() {
+    return capabilityState.services.size > 0;
+}
+
+// What a lab can tick: every non-agent service
+function profileServices() {
+    return galleries.services ? galleries.services.allEntries : [];
+}
+
+// The tickable service a reference resolves to (agents can't be ticked)
+function findService(ref) {
+    const service = resolveServiceRef(ref);
+    return service ? profileServices().find(s => s.title === service.title) || null : null;
+}
+
+// ============================================
+// CHECK
+// ============================================
+
+// { status, missing: [{ name, via }], unchecked: [names] } for one skill,
+// over its whole dependency closure. `via` lists the dependencies that
+// bring a missing piece in (empty when the skill needs it itself).
+function checkSkillCapability(title) {
+    const { deps, services, sdk, known } = skillClosure(title);
+    const have = profileServices().filter(s => capabilityState.services.has(s.title));
+    const missing = [];
+    const unchecked = [];
+    const viaOf = usedBy => usedBy.filter(n => n !== title);
+
+    services.forEach((usedBy, ref) => {
+        const service = findService(ref);
+        if (!service) unchecked.push(ref);
+        else if (!capabilityState.services.has(service.title)) missing.push({ name: service.title, via: viaOf(usedBy) });
+    });
+
+    const modules = new Map();  // SDK module → skills calling into it
+    sdk.forEach((usedBy, fn) => {
+        const mod = fn.split('.')[0];
+        modules.set(mod, [...new Set([...(modules.get(mod) || []), ...usedBy])]);
+    });
+    modules.forEach((usedBy, mod) => {
+        if (SDK_BUILTIN_MODULES.includes(mod)) return;
+        const need = SDK_MODULE_SERVICES[mod];
+        if (!need) unchecked.push(`${mod}.*`);
+        else if (!have.some(s => s.type === need.type && serviceKey(s.title).startsWith(need.prefix))) missing.push({ name: `${need.label} (${mod}.*)`, via: viaOf(usedBy) });
+    });
+
+    // A dependency no skill answers to can't be checked either
+    deps.forEach((hops, name) => { if (!known.has(name)) unchecked.push(name); });
+
+    let status = 'runnable';
+    if (missing.length > 0) status = 'blocked';
+    else if (unchecked.length > 0 || services.size + modules.size === 0) status = 'unknown';
+    return { status, missing, unchecked };
+}
+
+// Memoized per skills feed / services feed / profile
+function skillCapability(title) {
+    const key = [galleries.skills?.allEntries, galleries.services?.allEntries, serviceRefs.services, capabilityState.version];
+    const cache = capabilityState.cache;
+    if (!cache.key || cache.key.some((k, i) => k !== key[i])) {
+        capabilityState.cache = { key, byTitle: new Map() };
+    }
+    const byTitle = capabilityState.cache.byTitle;
+    if (!byTitle.has(title)) byTitle.set(title, checkSkillCapability(title));
+    return byTitle.get(title);
+}
+
+function capabilitySummary(cap) {
+    if (cap.status === 'blocked') {
+        return 'Blocked — needs ' + cap.missing
+            .map(m => m.via.length > 0 ? `${m.name} via ${m.via.join(', ')}` : m.name)
+            .join('; ');
+    }
+    if (cap.status === 'unknown') {
+        return cap.unchecked.length > 0
+            ? `Unknown — can't check ${cap.unchecked.join(', ')}`
+            : 'Unknown — lists no services or SDK calls';
+    }
+    return 'Runnable on this robot';
+}
+
+// ============================================
+// MARKS
+// ============================================
+
+// Status tag inside a skill hex (timeline or tree); empty with no profile
+function capabilityMarkHTML(entry) {
+    if (!capabilityActive() || entry._cluster) return '';
+    const cap = skillCapability(entry.title);
+    return `<span class="hex-cap cap-${cap.status}" title="${escapeHTML(capabilitySummary(cap))}">${CAPABILITY_LABELS[cap.status]}</span>`;
+}
+
+// Skill popup section
+function capabilityPopupHTML(entry) {
+    if (!capabilityActive()) return '';
+    const cap = skillCapability(entry.title);
+    let note = capabilitySummary(cap);
+    let detail = '';
+    if (cap.status === 'blocked') {
+        note = 'Missing on this robot:';
+        detail = cap.missing.map(m => `<code class="popup-file unresolved">${escapeHTML(m.name)}${m.via.length ? ` <span class="popup-files-note">via ${escapeHTML(m.via.join(', '))}</span>` : ''}</code>`).join('');
+    } else if (cap.unchecked.length > 0) {
+        note = "Can't check:";
+        detail = cap.unchecked.map(n => `<code class="popup-file inherited">${escapeHTML(n)}</code>`).join('');
+    }
+    return `<div class="popup-files popup-capability">
+            <span class="popup-files-label">On your robot &middot; <span class="cap-${cap.status}">${CAPABILITY_LABELS[cap.status]}</span></span>
+            <p class="popup-capability-note">${escapeHTML(note)}</p>
+            ${detail ? `<div class="popup-files-list">${detail}</div>` : ''}
+        </div>`;
+}
+
+// Re-mark what's on screen after the profile changes
+function refreshCapabilityMarks() {
+    const g = galleries.skills;
+    if (g) {
+        const lineY = layoutConfig.galleryH / 2;
+        for (const [slot, node] of g.mounted) {
+            node.innerHTML = hexSlotHTML('skills', g.hexLayout[slot], slot, layoutConfig, lineY);
+        }
+    }
+    document.querySelectorAll('#tree-nodes .tree-hex-card:not(.tree-ghost-card)').forEach(card => {
+        card.querySelector('.hex-cap')?.remove();
+        const mark = capabilityMarkHTML({ title: card.dataset.title });
+        if (mark) card.querySelector('.hex-content').insertAdjacentHTML('beforeend', mark);
+    });
+    renderCapabilitySummary();
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+function renderCapabilitySummary() {
+    const summary = document.getElementById('capability-summary');
+    if (!summary) return;
+    if (!capabilityActive() || !galleries.skills) {
+        summary.textContent = 'No robot profile set';
+        return;
+    }
+    const counts = { runnable: 0, blocked: 0, unknown: 0 };
+    galleries.skills.allEntries.forEach(e => { counts[skillCapability(e.title).status]++; });
+    summary.innerHTML = Object.entries(counts)
+        .map(([status, n]) => `<span class="cap-${status}">${n} ${status}</span>`)
+        .join(' &middot; ');
+}
+
+function renderCapabilityPanel() {
+    const groups = document.getElementById('capability-groups');
+    if (!groups) return;
+    const byKind = { hardware_service: [], software_service: [] };
+    profileServices().forEach(s => (byKind[s.type] || byKind.software_service).push(s));
+
+    const option = s => `<label class="capability-option">
+            <input type="checkbox" value="${escapeHTML(s.title)}"${capabilityState.services.has(s.title) ? ' checked' : ''}>
+            <span class="capability-option-name">${escapeHTML(s.title)}</span>
+            <span class="capability-option-usage">${serviceUsageCount(s.title)}</span>
+        </label>`;
+    groups.innerHTML = [['Hardware', byKind.hardware_service], ['Software', byKind.software_service]]
+        .filter(([, list]) => list.length > 0)
+        .map(([label, list]) => `<fieldset class="capability-group">
+            <legend class="capability-group-label">${label}</legend>
+            ${[...list].sort((a, b) => a.title.localeCompare(b.title)).map(option).join('')}
+        </fieldset>`)
+        .join('');
+    renderCapabilitySummary();
+}
+
+function setRobotProfile(titles) {
+    capabilityState.services = new Set(titles);
+    capabilityState.version++;
+    saveRobotProfile([...capabilityState.services]);
+    refreshCapabilityMarks();
+}
+
+function initCapabilityChecker() {
+    const toggle = document.getElementById('capability-toggle');
+    const panel = document.getElementById('capability-panel');
+    const groups = document.getElementById('capability-groups');
+    if (!toggle || !panel || !groups) return;
+
+    renderCapabilityPanel();
+
+    toggle.addEventListener('click', () => {
+        const open = panel.hidden;
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+    });
+
+    groups.addEventListener('change', (e) => {
+        if (!e.target.matches('input[type="checkbox"]')) return;
+        const titles = new Set(capabilityState.services);
+        if (e.target.checked) titles.add(e.target.value);
+        else titles.delete(e.target.value);
+        setRobotProfile(titles);
+        announce(document.getElementById('capability-summary').textContent);
+    });
+
+    document.getElementById('capability-reset')?.addEventListener('click', () => {
+        groups.querySelectorAll('input[type="checkbox"]').forEach(box => { box.checked = false; });
+        setRobotProfile([]);
+        announce('Robot profile cleared');
+    });
+}
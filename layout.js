@@ -0,0 +1,617 @@
+// ============================================
+// LAYOUT — Pure hex layout for the galleries
+// and the dependency tree. No DOM, no globals:
+// entries + config in, positions out. Loaded
+// as a plain script in the browser and with
+// require() from Node (bench/, tools/).
+// ============================================
+
+const HEX_SIZES = {
+    xl: { w: 270, h: 310 },
+    lg: { w: 210, h: 242 },
+    md: { w: 190, h: 219 },
+    sm: { w: 175, h: 202 },
+    xs: { w: 155, h: 178 }
+};
+
+// ============================================
+// LAYOUT CONFIG
+// ============================================
+
+// Breakpoints match the CSS media queries. Pass window.innerWidth in the
+// browser, or any width when laying out from Node.
+function getLayoutConfig(viewportWidth) {
+    const w = viewportWidth;
+    if (w <= 600)  return { sizeScale: 0.65, baseSpacing: 120, galleryH: 480, padX: 130, minGap: 14, lineGap: 14, minSizeClass: 'md' };
+    if (w <= 968)  return { sizeScale: 0.72, baseSpacing: 145, galleryH: 550, padX: 90,  minGap: 18, lineGap: 16 };
+    return                { sizeScale: 1,    baseSpacing: 190, galleryH: 700, padX: 160, minGap: 24, lineGap: 20 };
+}
+
+
+// ============================================
+// LAYOUT: HEX POSITIONING
+// ============================================
+
+const SIZE_ORDER = ['xs', 'sm', 'md', 'lg', 'xl'];
+
+function getHexSizeClass(entry, index, cfg) {
+    if (entry._cluster) return clusterSizeClass(entry);
+    const hash = ((index * 2654435761) >>> 0) % 100;
+    let size;
+    switch (entry.type) {
+        case 'feature': case 'deploy':
+            if (hash < 35) size = 'xl';
+            else if (hash < 70) size = 'lg';
+            else size = 'md';
+            break;
+        case 'setup': case 'repo': case 'refactor':
+        case 'hardware_service': case 'agent_service': case 'software_service':
+            if (hash < 10) size = 'xl';
+            else if (hash < 30) size = 'lg';
+            else if (hash < 65) size = 'md';
+            else if (hash < 85) size = 'sm';
+            else size = 'xs';
+            break;
+        default:
+            if (hash < 5) size = 'lg';
+            else if (hash < 25) size = 'md';
+            else if (hash < 60) size = 'sm';
+            else size = 'xs';
+            break;
+    }
+    if (cfg.minSizeClass) {
+        const minIdx = SIZE_ORDER.indexOf(cfg.minSizeClass);
+        if (SIZE_ORDER.indexOf(size) < minIdx) size = cfg.minSizeClass;
+    }
+    return size;
+}
+
+function getScaledSize(sizeClass, cfg) {
+    const b = HEX_SIZES[sizeClass];
+    return { w: Math.round(b.w * cfg.sizeScale), h: Math.round(b.h * cfg.sizeScale) };
+}
+
+function computeHexY(index, hexH, cfg) {
+    const lineY = cfg.galleryH / 2;
+    const edgePad = 12;
+
+    // Pseudo-random 0..1 from index (deterministic)
+    const raw = Math.sin(index * 127.1 + 311.7) * 43758.5453;
+    const frac = raw - Math.floor(raw);
+
+    // Alternate sides: even above, odd below
+    if (index % 2 === 0) {
+        // Above line: center from edge to (lineY - halfH - lineGap)
+        const closest = lineY - hexH / 2 - cfg.lineGap;
+        const farthest = hexH / 2 + edgePad;
+        return farthest + frac * (closest - farthest);
+    } else {
+        // Below line: center from (lineY + halfH + lineGap) to bottom edge
+        const closest = lineY + hexH / 2 + cfg.lineGap;
+        const farthest = cfg.galleryH - hexH / 2 - edgePad;
+        return closest + frac * (farthest - closest);
+    }
+}
+
+// ============================================
+// LAYOUT: TIME AXIS
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Timestamps are "YYYY-MM-DD HH:MM" in UTC (sliced from ISO strings)
+function entryTime(entry) {
+    return entry.timestamp ? Date.parse(entry.timestamp.replace(' ', 'T') + 'Z') : NaN;
+}
+
+// Linear time → x mapping. The full span gets the same width the index
+// layout would use, so both modes have the same average density.
+function computeTimeScale(entries, cfg) {
+    const times = entries.map(entryTime).filter(t => !isNaN(t));
+    const t0 = times.length > 0 ? Math.min(...times) : 0;
+    const t1 = times.length > 0 ? Math.max(...times) : 0;
+    const width = Math.max(0, entries.length - 1) * cfg.baseSpacing;
+    const pxPerMs = t1 > t0 ? width / (t1 - t0) : 0;
+    return {
+        t0, t1, pxPerMs,
+        toX: t => cfg.padX + ((isNaN(t) ? t0 : t) - t0) * pxPerMs
+    };
+}
+
+// Month ticks always; week ticks (Mondays) only when they'd be far enough apart to read
+function computeTimeTicks(scale) {
+    const ticks = [];
+    if (scale.t1 <= scale.t0) return ticks;
+
+    const start = new Date(scale.t0);
+    let month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    ticks.push({ t: scale.t0, kind: 'month', label: `${MONTH_NAMES[start.getUTCMonth()]} ${start.getUTCFullYear()}` });
+    while (month.getTime() <= scale.t1) {
+        ticks.push({ t: month.getTime(), kind: 'month', label: `${MONTH_NAMES[month.getUTCMonth()]} ${month.getUTCFullYear()}` });
+        month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1));
+    }
+
+    if (scale.pxPerMs * WEEK_MS >= 60) {
+        const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+        const toMonday = (8 - day.getUTCDay()) % 7 || 7;
+        let week = new Date(day.getTime() + toMonday * DAY_MS);
+        while (week.getTime() <= scale.t1) {
+            if (week.getUTCDate() !== 1) {
+                ticks.push({ t: week.getTime(), kind: 'week', label: `${MONTH_NAMES[week.getUTCMonth()]} ${week.getUTCDate()}` });
+            }
+            week = new Date(week.getTime() + WEEK_MS);
+        }
+    }
+
+    return ticks.map(tick => ({ ...tick, x: scale.toX(tick.t) }));
+}
+
+// ============================================
+// LAYOUT: ZOOM & CLUSTERING
+// ============================================
+
+const ZOOM_LEVELS = ['all', 'month', 'week', 'day'];
+
+function startOfUTCDay(t) {
+    const d = new Date(t);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+// Bucket used to cluster entries at each zoom level; 'day' shows every entry
+const ZOOM_BUCKETS = {
+    all: {
+        start: t => { const d = new Date(t); return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1); },
+        label: t => { const d = new Date(t); return `${MONTH_NAMES[d.getUTCMonth()]} ${d.getUTCFullYear()}`; }
+    },
+    month: {
+        start: t => { const day = startOfUTCDay(t); return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS; },
+        label: t => { const d = new Date(t); return `Week of ${MONTH_NAMES[d.getUTCMonth()]} ${d.getUTCDate()}`; }
+    },
+    week: {
+        start: startOfUTCDay,
+        label: t => { const d = new Date(t); return `${MONTH_NAMES[d.getUTCMonth()]} ${d.getUTCDate()}`; }
+    },
+    day: null
+};
+
+// Merge runs of (time-sorted) entries that share a bucket into cluster items.
+// Buckets holding a single entry pass the entry through unchanged.
+function clusterEntries(entries, zoom) {
+    const bucket = ZOOM_BUCKETS[zoom];
+    if (!bucket) return entries;
+
+    const groups = [];
+    let current = null;
+    entries.forEach(entry => {
+        const t = entryTime(entry);
+        const start = isNaN(t) ? NaN : bucket.start(t);
+        if (current && current.start === start) {
+            current.entries.push(entry);
+        } else {
+            current = { start, entries: [entry] };
+            groups.push(current);
+        }
+    });
+
+    return groups.map(group => {
+        if (group.entries.length === 1) return group.entries[0];
+        const typeCounts = {};
+        group.entries.forEach(e => { typeCounts[e.type] = (typeCounts[e.type] || 0) + 1; });
+        const dominant = Object.keys(typeCounts).reduce((a, b) => typeCounts[b] > typeCounts[a] ? b : a);
+        return {
+            _cluster: true,
+            type: dominant,
+            title: `${group.entries.length} entries`,
+            timestamp: group.entries[0].timestamp,
+            bucketLabel: bucket.label(group.start),
+            entries: group.entries
+        };
+    });
+}
+
+function clusterSizeClass(cluster) {
+    const n = cluster.entries.length;
+    if (n >= 20) return 'xl';
+    if (n >= 6) return 'lg';
+    return 'md';
+}
+
+function rectsOverlap(ax, ay, aw, ah, bx, by, bw, bh, gap) {
+    return Math.abs(ax - bx) < (aw + bw) / 2 + gap &&
+           Math.abs(ay - by) < (ah + bh) / 2 + gap;
+}
+
+// ============================================
+// LAYOUT: OVERLAP INDEX
+// ============================================
+// Placed hexes bucketed by horizontal extent, so the overlap pass only looks
+// at hexes in nearby columns instead of every earlier one. Queries return the
+// earliest-placed overlapping hex, exactly what a front-to-back linear scan
+// would find, so placements don't depend on the index.
+
+function createHexGrid(cellSize) {
+    return { cellSize, cells: new Map() };
+}
+
+function gridCellRange(grid, left, right) {
+    return [Math.floor(left / grid.cellSize), Math.floor(right / grid.cellSize)];
+}
+
+function gridInsert(grid, p, k) {
+    const [c0, c1] = gridCellRange(grid, p.x - p.w / 2, p.x + p.w / 2);
+    for (let c = c0; c <= c1; c++) {
+        let cell = grid.cells.get(c);
+        if (!cell) grid.cells.set(c, cell = []);
+        cell.push(k);
+    }
+}
+
+// Index of the first placed hex overlapping the rect, or -1
+function gridFirstOverlap(grid, positions, x, y, w, h, gap) {
+    // 1px of slack so float rounding at a cell edge can't hide a neighbour
+    const reach = w / 2 + gap + 1;
+    const [c0, c1] = gridCellRange(grid, x - reach, x + reach);
+    let first = -1;
+    for (let c = c0; c <= c1; c++) {
+        const cell = grid.cells.get(c);
+        if (!cell) continue;
+        for (const k of cell) {
+            if (first >= 0 && k >= first) break;  // cells are in placement order
+            const p = positions[k];
+            if (rectsOverlap(x, y, w, h, p.x, p.y, p.w, p.h, gap)) first = k;
+        }
+    }
+    return first;
+}
+
+// axis: 'index' spaces hexes evenly by position, 'time' places them by timestamp
+function computeLayout(entries, cfg, axis = 'index') {
+    const positions = [];
+    const scale = axis === 'time' ? computeTimeScale(entries, cfg) : null;
+    const grid = createHexGrid(cfg.baseSpacing * 2);
+
+    entries.forEach((entry, i) => {
+        const sizeClass = getHexSizeClass(entry, i, cfg);
+        const size = getScaledSize(sizeClass, cfg);
+        const y = computeHexY(i, size.h, cfg);
+
+        const jitter = ((i * 73 + 17) % 81) - 40;
+        let x = scale ? scale.toX(entryTime(entry)) : cfg.padX + i * cfg.baseSpacing + jitter;
+
+        // Resolve overlaps: hop right past the first hex in the way
+        for (let iter = 0; iter < 80; iter++) {
+            const k = gridFirstOverlap(grid, positions, x, y, size.w, size.h, cfg.minGap);
+            if (k < 0) break;
+            const p = positions[k];
+            x = p.x + (p.w + size.w) / 2 + cfg.minGap;
+        }
+
+        const pos = { x, y, w: size.w, h: size.h, sizeClass, entry, index: i };
+        gridInsert(grid, pos, positions.length);
+        positions.push(pos);
+    });
+
+    return positions;
+}
+
+// Everything renderGallery needs to draw one gallery: hexes (clustered at
+// coarse zoom levels), time-axis ticks and the track width
+function computeGalleryLayout(entries, cfg, { axis = 'index', zoom = 'day' } = {}) {
+    const items = clusterEntries(entries, zoom);
+    const hexes = computeLayout(items, cfg, axis);
+
+    let maxX = cfg.padX;
+    for (const h of hexes) {
+        const r = h.x + h.w / 2;
+        if (r > maxX) maxX = r;
+    }
+
+    return {
+        hexes,
+        ticks: axis === 'time' && items.length > 0 ? computeTimeTicks(computeTimeScale(items, cfg)) : [],
+        width: maxX + cfg.padX,
+        height: cfg.galleryH
+    };
+}
+
+// ============================================
+// LAYOUT: DEPENDENCY TREE
+// ============================================
+
+// ---- Row ordering (crossing minimization) ----
+// Sugiyama-style barycenter sweeps: each row is reordered by the mean
+// position of its neighbours in the row above (sweeping down) or below
+// (sweeping up). Ties keep the current order, so the result is
+// deterministic and a graph with no crossings stays in entries order.
+
+const TREE_ORDER_SWEEPS = 12;
+
+// Edges between two adjacent rows that cross, by pairwise comparison
+function countRowCrossings(upper, lower) {
+    const pairs = [];
+    upper.forEach((item, i) => {
+        item.down.forEach(n => pairs.push([i, lower.indexOf(n)]));
+    });
+    let crossings = 0;
+    for (let a = 0; a < pairs.length; a++) {
+        for (let b = a + 1; b < pairs.length; b++) {
+            if ((pairs[a][0] - pairs[b][0]) * (pairs[a][1] - pairs[b][1]) < 0) crossings++;
+        }
+    }
+    return crossings;
+}
+
+function countTreeCrossings(rows) {
+    let total = 0;
+    for (let l = rows.length - 1; l > 0; l--) total += countRowCrossings(rows[l], rows[l - 1]);
+    return total;
+}
+
+function sortRowByBarycenter(row, neighboursOf) {
+    row.forEach((item, i) => { item.pos = i; });
+    const keyed = row.map(item => {
+        const ns = neighboursOf(item);
+        const bary = ns.length > 0 ? ns.reduce((sum, n) => sum + n.pos, 0) / ns.length : item.pos;
+        return { item, bary };
+    });
+    keyed.sort((a, b) => a.bary - b.bary || a.item.pos - b.item.pos);
+    keyed.forEach(({ item }, i) => { row[i] = item; item.pos = i; });
+}
+
+// Reorders rows (index = layer) in place; returns the crossings left
+function orderTreeRows(rows) {
+    rows.forEach(row => row.forEach((item, i) => { item.pos = i; }));
+    let best = rows.map(row => row.slice());
+    let bestCrossings = countTreeCrossings(rows);
+
+    for (let sweep = 0; sweep < TREE_ORDER_SWEEPS && bestCrossings > 0; sweep++) {
+        if (sweep % 2 === 0) {
+            for (let l = rows.length - 2; l >= 0; l--) sortRowByBarycenter(rows[l], item => item.up);
+        } else {
+            for (let l = 1; l < rows.length; l++) sortRowByBarycenter(rows[l], item => item.down);
+        }
+        const crossings = countTreeCrossings(rows);
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            best = rows.map(row => row.slice());
+        }
+    }
+
+    best.forEach((row, l) => { rows[l] = row; });
+    return bestCrossings;
+}
+
+// `opts.known` lists every skill title, filtered out or not: a dependency on
+// a known skill that isn't in `entries` is dropped quietly, while one no
+// skill answers to becomes a ghost "unresolved" node
+function computeTreeLayout(entries, cfg, opts = {}) {
+    const known = new Set(opts.known || entries.map(e => e.title));
+
+    // Build name→entry map. Name-keyed lookups here have no prototype, so a
+    // skill called "constructor" or "toString" is just another name.
+    const byName = Object.create(null);
+    entries.forEach(e => { byName[e.title] = e; });
+
+    // Ghost entries for dependencies no skill answers to
+    const unresolved = [];   // { name, neededBy: [titles] }, first-seen order
+    const ghostOf = Object.create(null);
+    entries.forEach(e => {
+        (e.dependencies || []).forEach(d => {
+            if (!d || byName[d] || known.has(d)) return;
+            if (!ghostOf[d]) {
+                ghostOf[d] = { title: d, type: 'unresolved', dependencies: [], _unresolved: true };
+                unresolved.push({ name: d, neededBy: [] });
+            }
+            const record = unresolved.find(u => u.name === d);
+            if (!record.neededBy.includes(e.title)) record.neededBy.push(e.title);
+        });
+    });
+    const ghosts = Object.values(ghostOf);
+    ghosts.forEach(g => { byName[g.title] = g; });
+    const all = entries.concat(ghosts);
+
+    // Build adjacency: who depends on whom
+    const depsOf = Object.create(null);   // name → [dep names]
+    all.forEach(e => {
+        depsOf[e.title] = [...new Set((e.dependencies || []).filter(d => byName[d]))];
+    });
+
+    // Depth-first walk for cycles: a dependency that is still on the stack
+    // closes one. Its edge is a back edge — left out of layering (which
+    // would otherwise recurse forever) and drawn separately.
+    const visitState = Object.create(null);   // name → 'active' | 'done'
+    const backEdges = new Set();
+    const cycles = [];       // [a, b, ..., a]
+    const stack = [];
+    function visit(name) {
+        visitState[name] = 'active';
+        stack.push(name);
+        depsOf[name].forEach(d => {
+            if (visitState[d] === 'active') {
+                backEdges.add(`${name}\n${d}`);
+                cycles.push([...stack.slice(stack.indexOf(d)), d]);
+            } else if (!visitState[d]) {
+                visit(d);
+            }
+        });
+        stack.pop();
+        visitState[name] = 'done';
+    }
+    all.forEach(e => { if (!visitState[e.title]) visit(e.title); });
+    const isBack = (from, to) => backEdges.has(`${from}\n${to}`);
+    const inCycle = new Set(cycles.flat());
+
+    // Assign layers: leaf (no deps) = 0, composite = max(dep layers) + 1
+    const layerOf = Object.create(null);
+    function getLayer(name) {
+        if (layerOf[name] !== undefined) return layerOf[name];
+        const deps = depsOf[name].filter(d => !isBack(name, d));
+        if (deps.length === 0) {
+            layerOf[name] = 0;
+        } else {
+            layerOf[name] = Math.max(...deps.map(getLayer)) + 1;
+        }
+        return layerOf[name];
+    }
+    all.forEach(e => getLayer(e.title));
+
+    let maxLayer = 0;
+    all.forEach(e => { if (layerOf[e.title] > maxLayer) maxLayer = layerOf[e.title]; });
+
+    // Layered graph: one item per skill, plus a virtual item in every layer
+    // an edge skips, so long edges get a slot (and a waypoint) of their own
+    const rows = [];
+    for (let l = 0; l <= maxLayer; l++) rows.push([]);
+    const itemOf = Object.create(null);
+    all.forEach(e => {
+        const item = { entry: e, virtual: false, layer: layerOf[e.title], up: [], down: [] };
+        itemOf[e.title] = item;
+        rows[item.layer].push(item);
+    });
+
+    const chains = [];   // { from, to, via: [virtual items, top to bottom] }
+    all.forEach(e => {
+        depsOf[e.title].forEach(depName => {
+            if (isBack(e.title, depName)) return;
+            const via = [];
+            let prev = itemOf[e.title];
+            for (let l = prev.layer - 1; l > layerOf[depName]; l--) {
+                const v = { entry: null, virtual: true, layer: l, up: [prev], down: [] };
+                prev.down.push(v);
+                rows[l].push(v);
+                via.push(v);
+                prev = v;
+            }
+            prev.down.push(itemOf[depName]);
+            itemOf[depName].up.push(prev);
+            chains.push({ from: e.title, to: depName, via });
+        });
+    });
+
+    const crossings = orderTreeRows(rows);
+
+    // Layout parameters
+    const hexSize = HEX_SIZES.lg;
+    const hw = Math.round(hexSize.w * cfg.sizeScale);
+    const hh = Math.round(hexSize.h * cfg.sizeScale);
+    const hGap = Math.round(40 * cfg.sizeScale);
+    const vGap = Math.round(80 * cfg.sizeScale);
+    const virtualW = hGap;   // a waypoint slot is a narrow channel between hexes
+
+    // Position nodes: top layer (highest) at top, layer 0 at bottom
+    // Center each row horizontally relative to the widest row
+    const nodes = [];
+    const nodeByName = Object.create(null);
+    const labelPadLeft = 90;
+
+    const itemW = item => item.virtual ? virtualW : hw;
+    const gapBetween = (a, b) => a.virtual || b.virtual ? hGap / 2 : hGap;
+    const rowWidth = row => row.reduce((sum, item, i) => sum + itemW(item) + (i > 0 ? gapBetween(row[i - 1], item) : 0), 0);
+
+    // Find the widest row to determine total width
+    const maxRowW = Math.max(0, ...rows.map(rowWidth));
+
+    for (let l = maxLayer; l >= 0; l--) {
+        const row = rows[l];
+        const rowY = (maxLayer - l) * (hh + vGap);
+        let left = labelPadLeft + (maxRowW - rowWidth(row)) / 2;
+
+        row.forEach((item, i) => {
+            if (i > 0) left += gapBetween(row[i - 1], item);
+            item.x = left + itemW(item) / 2;
+            item.y = rowY + hh / 2;
+            left += itemW(item);
+            if (item.virtual) return;
+            const node = { entry: item.entry, x: item.x, y: item.y, w: hw, h: hh, layer: l };
+            if (item.entry._unresolved) node.ghost = true;
+            if (inCycle.has(item.entry.title)) node.inCycle = true;
+            nodes.push(node);
+            nodeByName[item.entry.title] = node;
+        });
+    }
+
+    // Compute edges; waypoints are where a long edge crosses the rows it skips
+    const edges = chains.map(c => {
+        const edge = { from: nodeByName[c.from], to: nodeByName[c.to], waypoints: c.via.map(v => ({ x: v.x, y: v.y })) };
+        if (ghostOf[c.to]) edge.unresolved = true;
+        return edge;
+    });
+    backEdges.forEach(key => {
+        const [from, to] = key.split('\n');
+        edges.push({ from: nodeByName[from], to: nodeByName[to], waypoints: [], back: true });
+    });
+
+    // Compute total dimensions
+    let maxX = 0, maxY = 0;
+    nodes.forEach(n => {
+        const r = n.x + n.w / 2;
+        const b = n.y + n.h / 2;
+        if (r > maxX) maxX = r;
+        if (b > maxY) maxY = b;
+    });
+
+    return { nodes, edges, totalW: maxX + 40, totalH: maxY + 40, maxLayer, hexW: hw, hexH: hh, vGap, labelPadLeft, crossings, cycles, unresolved };
+}
+
+// SVG path for a tree edge: parent's bottom vertex → straight through each
+// waypoint's row → child's top vertex, with an S-curve across every gap.
+// Hex clip-path vertices: top at 3.75% of height, bottom at 96.25%;
+// inset endpoints so edges connect at the hex boundary, not the bounding box
+const TREE_HEX_INSET = 0.13;
+
+function treeEdgePath(edge) {
+    if (edge.back) return treeBackEdgePath(edge);
+    const points = [[edge.from.x, edge.from.y + edge.from.h * (0.5 - TREE_HEX_INSET)]];
+    (edge.waypoints || []).forEach(p => {
+        points.push([p.x, p.y - edge.to.h / 2], [p.x, p.y + edge.to.h / 2]);
+    });
+    points.push([edge.to.x, edge.to.y - edge.to.h * (0.5 - TREE_HEX_INSET)]);
+
+    let d = `M${points[0][0]},${points[0][1]}`;
+    for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        if (i % 2 === 0) {
+            d += ` L${x1},${y1}`;   // inside a skipped row
+        } else {
+            const midY = (y0 + y1) / 2;
+            d += ` C${x0},${midY} ${x1},${midY} ${x1},${y1}`;
+        }
+    }
+    return d;
+}
+
+// Back edges point up the tree (or at the node itself), so they loop out
+// around the right-hand side instead of cutting through the rows between
+function treeBackEdgePath(edge) {
+    const self = edge.from === edge.to;
+    const x0 = edge.from.x + edge.from.w / 2;
+    const y0 = edge.from.y - (self ? edge.from.h / 6 : 0);
+    const x1 = edge.to.x + edge.to.w / 2;
+    const y1 = edge.to.y + (self ? edge.to.h / 6 : 0);
+    const bulge = self ? edge.from.w / 3 : Math.max(edge.from.w / 3, Math.abs(y1 - y0) * 0.35);
+    const cx = Math.max(x0, x1) + bulge;
+    return `M${x0},${y0} C${cx},${y0} ${cx},${y1} ${x1},${y1}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HEX_SIZES,
+        getLayoutConfig,
+        getHexSizeClass,
+        getScaledSize,
+        computeHexY,
+        entryTime,
+        computeTimeScale,
+        computeTimeTicks,
+        ZOOM_LEVELS,
+        clusterEntries,
+        rectsOverlap,
+        computeLayout,
+        computeGalleryLayout,
+        computeTreeLayout,
+        treeEdgePath
+    };
+}
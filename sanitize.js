@@ -0,0 +1,46 @@
+// ============================================
+// SANITIZE — Escaping helpers for HTML templates
+// Shared by script.js and wishlist.js. Every
+// repo-sourced string must pass through one of
+// these before it reaches innerHTML.
+// ============================================
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Escape text for element content and quoted attribute values
+function escapeHTML(str) {
+    if (str == null) return '';
+    return String(str).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// Validate a URL: only http(s) is allowed. Relative paths resolve against
+// the page, so local assets like images/*.png still pass. Returns the
+// normalized href, or '' for anything else (javascript:, data:, garbage).
+function safeURL(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(String(url), window.location.href);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return '';
+        return parsed.href;
+    } catch (e) {
+        return '';
+    }
+}
+
+// Validated URL, escaped for an href/src attribute
+function attrURL(url) {
+    return escapeHTML(safeURL(url));
+}
+
+// Validated URL as a CSS url() for inline style attributes
+function cssURL(url) {
+    const href = safeURL(url);
+    if (!href) return 'none';
+    return escapeHTML(`url("${href.replace(/["\\\n\r]/g, ch => encodeURIComponent(ch))}")`);
+}
@@ -1,7 +1,7 @@
 // ============================================
 // TIDYBOT UNIVERSE — HEX GALLERY
-// Two galleries (services / skills) with
-// scattered hexes, popup overlay detail view
+// Three galleries (skills / services / activity)
+// with scattered hexes, popup overlay detail view
 // ============================================
 
 const typeConfig = {
@@ -18,32 +18,14 @@ const typeConfig = {
     software_service: { label: 'Software', color: '#ffd700' }
 };
 
-const HEX_SIZES = {
-    xl: { w: 270, h: 310 },
-    lg: { w: 210, h: 242 },
-    md: { w: 190, h: 219 },
-    sm: { w: 175, h: 202 },
-    xs: { w: 155, h: 178 }
-};
-
-// ============================================
-// LAYOUT CONFIG
-// ============================================
-
-function getLayoutConfig() {
-    const w = window.innerWidth;
-    if (w <= 600)  return { sizeScale: 0.65, baseSpacing: 120, galleryH: 480, padX: 130, minGap: 14, lineGap: 14, minSizeClass: 'md' };
-    if (w <= 968)  return { sizeScale: 0.72, baseSpacing: 145, galleryH: 550, padX: 90,  minGap: 18, lineGap: 16 };
-    return                { sizeScale: 1,    baseSpacing: 190, galleryH: 700, padX: 160, minGap: 24, lineGap: 20 };
-}
-
 // ============================================
 // STATE
 // ============================================
 
 const galleries = {};       // keyed by name
 let activePopup = null;     // { galleryName, index } | null
-let layoutConfig = getLayoutConfig();
+let layoutConfig = getLayoutConfig(window.innerWidth);
+let agentEntries = [];      // unfiltered agents (rendered outside the galleries)
 
 // ============================================
 // DATA LOADING
@@ -58,11 +40,59 @@ function classifyServiceRepo(name) {
 
 const IGNORED_REPOS = ['wishlist', 'services_wishlist', 'backend_wishlist', 'Tidybot-Universe'];
 
+const GALLERY_FEEDS = {
+    skills:   './logs/repos.json',
+    services: './logs/services.json',
+    activity: './logs/entries.json'
+};
+
+const failedFeeds = {};     // source file → error message from the last load
+
+// Daily success-rate / trial snapshots per skill (fetch-repos.yml appends them)
+const RATE_HISTORY_FEED = './logs/repos-history.json';
+let rateHistory = new Map(); // skill name → snapshots, oldest first
+
+function feedSource(file) {
+    return file.split('/').pop();
+}
+
+// Conditional GET: the browser hands us 304s because we set the validators
+// ourselves. `version` only bumps when the body actually changed.
+const feedCache = {};       // file → { etag, lastModified, text, data, version }
+
+async function fetchFeed(file) {
+    const cached = feedCache[file];
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const r = await fetch(file, { headers, cache: 'no-cache' });
+    if (r.status === 304 && cached) return cached.data;
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+
+    const text = await r.text();
+    if (cached && cached.text === text) return cached.data;
+    const data = JSON.parse(text);
+    feedCache[file] = {
+        etag: r.headers.get('ETag'),
+        lastModified: r.headers.get('Last-Modified'),
+        text,
+        data,
+        version: (cached?.version || 0) + 1
+    };
+    return data;
+}
+
+function feedVersion() {
+    return Object.values(feedCache).reduce((sum, c) => sum + c.version, 0);
+}
+
 async function loadRepos(file) {
+    const source = feedSource(file);
+    clearDiagnostics(source);
     try {
-        const r = await fetch(file);
-        if (!r.ok) throw new Error(`HTTP ${r.status}`);
-        const allRepos = await r.json();
+        const allRepos = validateRecords(await fetchFeed(file), REPO_SCHEMA, source);
+        delete failedFeeds[source];
         const repos = allRepos.filter(repo => !IGNORED_REPOS.includes(repo.name));
         return repos.map((repo, i) => ({
             id: String(i + 1).padStart(3, '0'),
@@ -89,18 +119,72 @@ async function loadRepos(file) {
         }));
     } catch (e) {
         console.error('Failed to load repos:', e);
+        failedFeeds[source] = e.message;
+        addDiagnostic({ source, level: 'error', record: '', field: '', message: `failed to load: ${e.message}` });
         return [];
     }
 }
 
 async function loadServices() {
-    const repos = await loadRepos('./logs/services.json');
+    const repos = await loadRepos(GALLERY_FEEDS.services);
     return repos.map(repo => ({
         ...repo,
         type: classifyServiceRepo(repo.title)
     }));
 }
 
+// Commits in entries.json come from the TidyBot-Services org (see fetch-commits.yml)
+const COMMITS_ORG_URL = 'https://github.com/TidyBot-Services';
+
+async function loadEntries(file) {
+    const source = feedSource(file);
+    clearDiagnostics(source);
+    try {
+        const commits = validateRecords(await fetchFeed(file), ENTRY_SCHEMA, source);
+        delete failedFeeds[source];
+        return commits.map((c, i) => ({
+            id: String(i + 1).padStart(3, '0'),
+            timestamp: c.timestamp || '',
+            type: typeConfig[c.type] ? c.type : 'feature',
+            title: c.title || 'Untitled',
+            description: c.description || '',
+            files: c.files || [],
+            sha: c.sha || '',
+            repo: c.repo || '',
+            author: c.author || '',
+            html_url: c.sha && c.repo
+                ? `${COMMITS_ORG_URL}/${encodeURIComponent(c.repo)}/commit/${encodeURIComponent(c.sha)}`
+                : ''
+        }));
+    } catch (e) {
+        console.error('Failed to load entries:', e);
+        failedFeeds[source] = e.message;
+        addDiagnostic({ source, level: 'error', record: '', field: '', message: `failed to load: ${e.message}` });
+        return [];
+    }
+}
+
+// Returns null when the feed can't be read, so the last good history stays
+async function loadRateHistory() {
+    const source = feedSource(RATE_HISTORY_FEED);
+    clearDiagnostics(source);
+    try {
+        const snapshots = validateRecords(await fetchFeed(RATE_HISTORY_FEED), HISTORY_SCHEMA, source);
+        const bySkill = new Map();
+        snapshots
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(s => {
+                if (!bySkill.has(s.name)) bySkill.set(s.name, []);
+                bySkill.get(s.name).push(s);
+            });
+        return bySkill;
+    } catch (e) {
+        console.error('Failed to load rate history:', e);
+        addDiagnostic({ source, level: 'warning', record: '', field: '', message: `failed to load: ${e.message}` });
+        return null;
+    }
+}
+
 function isAgentRepo(name) {
     return /agent/i.test(name);
 }
@@ -120,107 +204,6 @@ function prepareEntries(entries) {
     return sorted.map((e, i) => ({ ...e, id: String(i + 1).padStart(3, '0') }));
 }
 
-// ============================================
-// LAYOUT: HEX POSITIONING
-// ============================================
-
-const SIZE_ORDER = ['xs', 'sm', 'md', 'lg', 'xl'];
-
-function getHexSizeClass(entry, index, cfg) {
-    const hash = ((index * 2654435761) >>> 0) % 100;
-    let size;
-    switch (entry.type) {
-        case 'feature': case 'deploy':
-            if (hash < 35) size = 'xl';
-            else if (hash < 70) size = 'lg';
-            else size = 'md';
-            break;
-        case 'setup': case 'repo': case 'refactor':
-        case 'hardware_service': case 'agent_service': case 'software_service':
-            if (hash < 10) size = 'xl';
-            else if (hash < 30) size = 'lg';
-            else if (hash < 65) size = 'md';
-            else if (hash < 85) size = 'sm';
-            else size = 'xs';
-            break;
-        default:
-            if (hash < 5) size = 'lg';
-            else if (hash < 25) size = 'md';
-            else if (hash < 60) size = 'sm';
-            else size = 'xs';
-            break;
-    }
-    if (cfg.minSizeClass) {
-        const minIdx = SIZE_ORDER.indexOf(cfg.minSizeClass);
-        if (SIZE_ORDER.indexOf(size) < minIdx) size = cfg.minSizeClass;
-    }
-    return size;
-}
-
-function getScaledSize(sizeClass, cfg) {
-    const b = HEX_SIZES[sizeClass];
-    return { w: Math.round(b.w * cfg.sizeScale), h: Math.round(b.h * cfg.sizeScale) };
-}
-
-function computeHexY(index, hexH, cfg) {
-    const lineY = cfg.galleryH / 2;
-    const edgePad = 12;
-
-    // Pseudo-random 0..1 from index (deterministic)
-    const raw = Math.sin(index * 127.1 + 311.7) * 43758.5453;
-    const frac = raw - Math.floor(raw);
-
-    // Alternate sides: even above, odd below
-    if (index % 2 === 0) {
-        // Above line: center from edge to (lineY - halfH - lineGap)
-        const closest = lineY - hexH / 2 - cfg.lineGap;
-        const farthest = hexH / 2 + edgePad;
-        return farthest + frac * (closest - farthest);
-    } else {
-        // Below line: center from (lineY + halfH + lineGap) to bottom edge
-        const closest = lineY + hexH / 2 + cfg.lineGap;
-        const farthest = cfg.galleryH - hexH / 2 - edgePad;
-        return closest + frac * (farthest - closest);
-    }
-}
-
-function rectsOverlap(ax, ay, aw, ah, bx, by, bw, bh, gap) {
-    return Math.abs(ax - bx) < (aw + bw) / 2 + gap &&
-           Math.abs(ay - by) < (ah + bh) / 2 + gap;
-}
-
-function computeLayout(entries, cfg) {
-    const positions = [];
-
-    entries.forEach((entry, i) => {
-        const sizeClass = getHexSizeClass(entry, i, cfg);
-        const size = getScaledSize(sizeClass, cfg);
-        const y = computeHexY(i, size.h, cfg);
-
-        const jitter = ((i * 73 + 17) % 81) - 40;
-        let x = cfg.padX + i * cfg.baseSpacing + jitter;
-
-        // Resolve overlaps
-        let iter = 0;
-        while (iter < 80) {
-            let hit = false;
-            for (const p of positions) {
-                if (rectsOverlap(x, y, size.w, size.h, p.x, p.y, p.w, p.h, cfg.minGap)) {
-                    x = p.x + (p.w + size.w) / 2 + cfg.minGap;
-                    hit = true;
-                    break;
-                }
-            }
-            if (!hit) break;
-            iter++;
-        }
-
-        positions.push({ x, y, w: size.w, h: size.h, sizeClass, entry, index: i });
-    });
-
-    return positions;
-}
-
 // ============================================
 // RENDERING
 // ============================================
@@ -232,101 +215,256 @@ function renderGallery(name) {
     const lineY = cfg.galleryH / 2;
 
     g.viewport.style.height = cfg.galleryH + 'px';
-    g.hexLayout = computeLayout(g.entries, cfg);
-
-    let maxX = cfg.padX;
-    for (const h of g.hexLayout) {
-        const r = h.x + h.w / 2;
-        if (r > maxX) maxX = r;
+    const hadFocus = g.track.contains(document.activeElement);
+    const layout = computeGalleryLayout(g.entries, cfg, { axis: g.axis, zoom: g.zoom });
+    g.hexLayout = layout.hexes;
+
+    // Map each hex back to its entry (clusters have no single entry)
+    const indexOf = new Map(g.entries.map((e, i) => [e, i]));
+    g.hexLayout.forEach(hex => { hex.entryIndex = hex.entry._cluster ? -1 : indexOf.get(hex.entry); });
+    g.focusSlot = clamp(g.focusSlot ?? g.hexLayout.length - 1, 0, Math.max(0, g.hexLayout.length - 1));
+
+    if (g.entries.length === 0) {
+        g.track.style.width = '';
+        g.trackW = 0;
+        g.scrollMax = 0;
+        g.hexLayer = null;
+        g.mounted = new Map();
+        renderMinimap(name);
+        g.track.innerHTML = `<div class="gallery-line" style="top:${lineY}px;"></div>
+            ${renderStateHTML(getGalleryState(name))}`;
+        if (g.countEl) g.countEl.textContent = `0 / ${g.allEntries.length} entries`;
+        renderGalleryTable(name);
+        renderSdkMatrix(name);
+        return;
     }
-    const totalW = maxX + cfg.padX;
+
+    const totalW = layout.width;
     g.track.style.width = totalW + 'px';
+    g.trackW = totalW;
     g.scrollMax = Math.max(0, totalW - g.viewport.offsetWidth);
+    g.scrollPos = clamp(g.scrollPos, 0, g.scrollMax);
+    g.scrollTarget = clamp(g.scrollTarget, 0, g.scrollMax);
+    renderMinimap(name);
 
     let html = '';
 
     // Timeline line
     html += `<div class="gallery-line" style="top:${lineY}px;"></div>`;
 
+    // Month / week ticks along the line in time mode
+    layout.ticks.forEach(tick => {
+        html += `<div class="gallery-tick tick-${tick.kind}" style="left:${tick.x}px;top:${lineY}px;">
+            <span class="gallery-tick-label">${tick.label}</span>
+        </div>`;
+    });
+
     // Robot at end of line
     const robotType = name === 'skills' ? 'cyan' : 'purple';
     const robotX = totalW - cfg.padX * 0.6;
     html += createRobotHTML(robotType, robotX, lineY);
 
-    // Connectors
-    g.hexLayout.forEach((hex, i) => {
-        const hexBottom = hex.y + hex.h / 2;
-        const hexTop = hex.y - hex.h / 2;
-        let connTop, connH;
+    // Hexes mount into their own layer as they scroll into range
+    html += `<div class="gallery-hexes"></div>`;
 
-        if (hex.y < lineY) {
-            connTop = hexBottom;
-            connH = lineY - hexBottom;
-        } else {
-            connTop = lineY;
-            connH = hexTop - lineY;
-        }
+    g.track.innerHTML = html;
+    g.hexLayer = g.track.querySelector('.gallery-hexes');
+    g.mounted = new Map();  // slot → .hex-slot node
+    g.slotPool = [];        // unmounted .hex-slot nodes, reused on the next mount
+    g.slotsByLeft = g.hexLayout.map((_, i) => i)
+        .sort((a, b) => (g.hexLayout[a].x - g.hexLayout[a].w / 2) - (g.hexLayout[b].x - g.hexLayout[b].w / 2));
+    g.maxHexW = g.hexLayout.reduce((m, h) => Math.max(m, h.w), 0);
+    g.revealed = false;
+    g.windowAt = null;
+    updateGalleryWindow(name, true);
+    if (hadFocus) focusHexSlot(name, g.focusSlot);
+    renderGalleryTable(name);
+    renderSdkMatrix(name);
 
-        if (connH > 2) {
-            html += `<div class="hex-connector" data-gallery="${name}" data-index="${i}"
-                style="left:${hex.x}px;top:${connTop}px;height:${connH}px;"></div>`;
-        }
+    // Count
+    if (g.countEl) {
+        g.countEl.textContent = g.entries.length === g.allEntries.length
+            ? `${g.entries.length} entries`
+            : `${g.entries.length} / ${g.allEntries.length} entries`;
+    }
+
+    // Staggered entrance for whatever is mounted now; later mounts appear as-is
+    [...g.mounted.keys()].sort((a, b) => a - b).forEach((slot, k) => {
+        const card = g.mounted.get(slot).querySelector('.hex-card');
+        setTimeout(() => card.classList.add('visible'), k * 35);
     });
+    g.revealed = true;
+}
+
+// ============================================
+// GALLERY WINDOWING
+// ============================================
+// Layout covers every entry, but only hexes within a screen of the viewport
+// (plus the keyboard-focus hex) are in the DOM. Slots leaving the range go
+// back to a pool and get refilled for slots entering it.
+
+const GALLERY_OVERSCAN = 1;  // viewport widths mounted beyond each side
+
+function slotsInRange(g, lo, hi) {
+    const order = g.slotsByLeft;
+    const leftOf = slot => g.hexLayout[slot].x - g.hexLayout[slot].w / 2;
+
+    // First slot whose left edge could still reach `lo`
+    let a = 0, b = order.length;
+    while (a < b) {
+        const mid = (a + b) >> 1;
+        if (leftOf(order[mid]) < lo - g.maxHexW) a = mid + 1;
+        else b = mid;
+    }
+
+    const slots = [];
+    for (let k = a; k < order.length && leftOf(order[k]) <= hi; k++) {
+        const hex = g.hexLayout[order[k]];
+        if (hex.x + hex.w / 2 >= lo) slots.push(order[k]);
+    }
+    return slots;
+}
+
+function updateGalleryWindow(name, force = false) {
+    const g = galleries[name];
+    if (!g || !g.hexLayer) return;
+    const viewW = g.viewport.offsetWidth || window.innerWidth;
+    if (!force && g.windowAt != null && Math.abs(g.scrollPos - g.windowAt) < viewW * 0.25) return;
+    g.windowAt = g.scrollPos;
+
+    const wanted = new Set(slotsInRange(g,
+        g.scrollPos - viewW * GALLERY_OVERSCAN,
+        g.scrollPos + viewW * (1 + GALLERY_OVERSCAN)));
+    if (g.hexLayout[g.focusSlot]) wanted.add(g.focusSlot);
+
+    for (const [slot, node] of g.mounted) {
+        if (wanted.has(slot)) continue;
+        node.remove();
+        g.mounted.delete(slot);
+        g.slotPool.push(node);
+    }
 
-    // Dots on line
-    g.hexLayout.forEach((hex, i) => {
-        html += `<div class="hex-dot" data-gallery="${name}" data-index="${i}"
-            style="left:${hex.x}px;top:${lineY}px;"></div>`;
+    const cfg = layoutConfig;
+    const lineY = cfg.galleryH / 2;
+    wanted.forEach(slot => {
+        if (g.mounted.has(slot)) return;
+        const node = g.slotPool.pop() || document.createElement('div');
+        node.className = 'hex-slot';
+        node.innerHTML = hexSlotHTML(name, g.hexLayout[slot], slot, cfg, lineY);
+        g.hexLayer.appendChild(node);
+        g.mounted.set(slot, node);
     });
+}
 
-    // Hex cards
-    g.hexLayout.forEach((hex, i) => {
-        const entry = hex.entry;
-        const hexLeft = hex.x - hex.w / 2;
-        const hexTop = hex.y - hex.h / 2;
-        const typeColor = typeConfig[entry.type]?.color || '#ff6b00';
-        const typeLabel = typeConfig[entry.type]?.label || entry.type;
-        const dateStr = entry.timestamp ? entry.timestamp.split(' ')[0].slice(5) : '';
-        const title = entry.title || 'Untitled';
-        const isMobile = cfg.sizeScale < 0.7;
-        const maxLen = isMobile
-            ? { xl: 34, lg: 28, md: 22, sm: 16, xs: 12 }[hex.sizeClass] || 22
-            : { xl: 44, lg: 36, md: 28, sm: 20, xs: 14 }[hex.sizeClass] || 28;
-        const titleDisplay = title.length > maxLen ? title.slice(0, maxLen - 2) + '…' : title;
-        const repoName = entry.repo ? entry.repo.replace('tidybot-', '') : '';
-        const floatDelay = ((i * 0.7) % 5).toFixed(1);
-        const patternIdx = i % 4;
-        const hasImage = entry.image ? 'has-image' : '';
-        const bgStyle = entry.image ? `background-image:url(${entry.image});` : '';
+// Connector, line dot and hex card for one slot of g.hexLayout
+function hexSlotHTML(name, hex, i, cfg, lineY) {
+    const g = galleries[name];
+    const entry = hex.entry;
+    const isActive = !entry._cluster && activePopup?.galleryName === name && activePopup.index === hex.entryIndex;
+    const active = isActive ? ' active' : '';
+    let html = '';
 
-        html += `<div class="hex-card hex-${hex.sizeClass}" data-gallery="${name}" data-index="${i}"
-            style="left:${hexLeft}px;top:${hexTop}px;width:${hex.w}px;height:${hex.h}px;
-                   --float-delay:${floatDelay}s;">
-            <div class="hex-border">
-                <div class="hex-inner">
-                    <div class="hex-bg pattern-${patternIdx} ${hasImage}"
-                         style="--type-color:${typeColor};${bgStyle}"></div>
-                    <div class="hex-content">
-                        <span class="hex-type" style="color:${typeColor};">${typeLabel}</span>
-                        <h3 class="hex-title">${titleDisplay}</h3>
-                        <span class="hex-date">${dateStr}</span>
-                        ${entry.success_rate != null ? `<span class="hex-rate"><span class="hex-rate-label">Success </span>${entry.success_rate}%</span>` : ''}
-                        ${repoName ? `<span class="hex-repo">${repoName}</span>` : ''}
-                    </div>
+    const hexBottom = hex.y + hex.h / 2;
+    const hexTop = hex.y - hex.h / 2;
+    let connTop, connH;
+
+    if (hex.y < lineY) {
+        connTop = hexBottom;
+        connH = lineY - hexBottom;
+    } else {
+        connTop = lineY;
+        connH = hexTop - lineY;
+    }
+
+    if (connH > 2) {
+        html += `<div class="hex-connector${active}" data-gallery="${name}" ${hexRefAttr(hex, i)}
+            style="left:${hex.x}px;top:${connTop}px;height:${connH}px;"></div>`;
+    }
+
+    html += `<div class="hex-dot${active}" data-gallery="${name}" ${hexRefAttr(hex, i)}
+        style="left:${hex.x}px;top:${lineY}px;"></div>`;
+
+    const stateClass = (g.revealed ? ' visible' : '') + active;
+    if (entry._cluster) return html + createClusterHTML(name, hex, i, stateClass);
+
+    const hexLeft = hex.x - hex.w / 2;
+    const typeColor = typeConfig[entry.type]?.color || '#ff6b00';
+    const typeLabel = typeConfig[entry.type]?.label || entry.type;
+    const dateStr = entry.timestamp ? entry.timestamp.split(' ')[0].slice(5) : '';
+    const title = entry.title || 'Untitled';
+    const isMobile = cfg.sizeScale < 0.7;
+    const maxLen = isMobile
+        ? { xl: 34, lg: 28, md: 22, sm: 16, xs: 12 }[hex.sizeClass] || 22
+        : { xl: 44, lg: 36, md: 28, sm: 20, xs: 14 }[hex.sizeClass] || 28;
+    const titleDisplay = title.length > maxLen ? title.slice(0, maxLen - 2) + '…' : title;
+    const repoName = entry.repo ? entry.repo.replace('tidybot-', '') : '';
+    const floatDelay = ((i * 0.7) % 5).toFixed(1);
+    const patternIdx = i % 4;
+    const hasImage = entry.image ? 'has-image' : '';
+    const bgStyle = entry.image ? `background-image:${cssURL(entry.image)};` : '';
+    const newClass = entry._isNew ? ' hex-new' : '';
+    entry._isNew = false;  // only animate the first mount after arrival
+
+    return html + `<div class="hex-card hex-${hex.sizeClass}${newClass}${stateClass}" data-gallery="${name}" data-index="${hex.entryIndex}"
+        ${hexFocusAttrs(g, i, `${typeLabel}: ${title}${entry.timestamp ? ', ' + entry.timestamp : ''}${name === 'services' ? `, used by ${serviceUsageCount(entry.title)} skills` : ''}`)}
+        style="left:${hexLeft}px;top:${hexTop}px;width:${hex.w}px;height:${hex.h}px;
+               --float-delay:${floatDelay}s;">
+        <div class="hex-border">
+            <div class="hex-inner">
+                <div class="hex-bg pattern-${patternIdx} ${hasImage}"
+                     style="--type-color:${typeColor};${bgStyle}"></div>
+                <div class="hex-content">
+                    <span class="hex-type" style="color:${typeColor};">${escapeHTML(typeLabel)}</span>
+                    <h3 class="hex-title">${escapeHTML(titleDisplay)}</h3>
+                    <span class="hex-date">${escapeHTML(dateStr)}</span>
+                    ${entry.success_rate != null ? `<span class="hex-rate"><span class="hex-rate-label">Success </span>${escapeHTML(entry.success_rate)}%${rateTrendHTML(entry)}${rateDeltaHTML(entry)}</span>` : ''}
+                    ${repoName ? `<span class="hex-repo">${escapeHTML(repoName)}</span>` : ''}
+                    ${name === 'services' ? serviceUsageBadgeHTML(entry) : ''}
+                    ${name === 'skills' ? capabilityMarkHTML(entry) + serviceRefBadgeHTML(entry) : ''}
                 </div>
             </div>
-        </div>`;
-    });
+        </div>
+    </div>`;
+}
 
-    g.track.innerHTML = html;
+function serviceUsageBadgeHTML(entry) {
+    const count = serviceUsageCount(entry.title);
+    return `<span class="hex-usage${count === 0 ? ' unused' : ''}">${count} ${count === 1 ? 'skill' : 'skills'}</span>`;
+}
 
-    // Count
-    if (g.countEl) g.countEl.textContent = `${g.entries.length} entries`;
+// Single entries are addressed by entry index, clusters by their slot in hexLayout
+function hexRefAttr(hex, i) {
+    return hex.entry._cluster ? `data-cluster="${i}"` : `data-index="${hex.entryIndex}"`;
+}
 
-    // Staggered entrance
-    g.track.querySelectorAll('.hex-card').forEach((card, i) => {
-        setTimeout(() => card.classList.add('visible'), i * 35);
-    });
+// Roving tabindex: one hex per gallery is in the tab order, arrows move it
+function hexFocusAttrs(g, i, label) {
+    return `data-slot="${i}" role="button" tabindex="${i === g.focusSlot ? 0 : -1}" aria-label="${escapeHTML(label)}"`;
+}
+
+function createClusterHTML(name, hex, i, stateClass = '') {
+    const cluster = hex.entry;
+    const typeColor = typeConfig[cluster.type]?.color || '#ff6b00';
+    const typeLabel = typeConfig[cluster.type]?.label || cluster.type;
+    const floatDelay = ((i * 0.7) % 5).toFixed(1);
+
+    return `<div class="hex-card hex-cluster hex-${hex.sizeClass}${stateClass}" data-gallery="${name}" data-cluster="${i}"
+        title="Zoom in on ${escapeHTML(cluster.bucketLabel)}"
+        ${hexFocusAttrs(galleries[name], i, `${cluster.bucketLabel}: ${cluster.entries.length} entries, mostly ${typeLabel}. Press Enter to zoom in.`)}
+        style="left:${hex.x - hex.w / 2}px;top:${hex.y - hex.h / 2}px;width:${hex.w}px;height:${hex.h}px;
+               --float-delay:${floatDelay}s;">
+        <div class="hex-border">
+            <div class="hex-inner">
+                <div class="hex-bg pattern-${i % 4}" style="--type-color:${typeColor};"></div>
+                <div class="hex-content">
+                    <span class="hex-type" style="color:${typeColor};">Mostly ${escapeHTML(typeLabel)}</span>
+                    <span class="hex-cluster-count" style="color:${typeColor};">${cluster.entries.length}</span>
+                    <h3 class="hex-title">${escapeHTML(cluster.bucketLabel)}</h3>
+                    <span class="hex-date">zoom in ＋</span>
+                </div>
+            </div>
+        </div>
+    </div>`;
 }
 
 function createRobotHTML(type, x, lineY) {
@@ -362,23 +500,524 @@ function createRobotHTML(type, x, lineY) {
 
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
+let tickScheduled = false;
+
+// The loop only runs while some visible gallery is still easing toward its
+// target; anything that moves a target calls requestTick() to wake it.
+function requestTick() {
+    if (tickScheduled) return;
+    tickScheduled = true;
+    requestAnimationFrame(tick);
+}
+
+// Move a gallery's scroll target (clamped); `immediate` skips the easing
+function scrollGallery(g, target, immediate = false) {
+    g.scrollTarget = clamp(target, 0, g.scrollMax);
+    if (immediate) g.scrollPos = g.scrollTarget;
+    requestTick();
+}
+
 function tick() {
+    tickScheduled = false;
+    let unsettled = false;
     for (const name in galleries) {
         const g = galleries[name];
+        if (!g.onScreen) continue;
         const dx = g.scrollTarget - g.scrollPos;
-        if (Math.abs(dx) > 0.5) {
+        if (Math.abs(dx) > 0.5 && !motionReduced()) {
             g.scrollPos += dx * 0.12;
+            unsettled = true;
         } else {
             g.scrollPos = g.scrollTarget;
         }
         g.track.style.transform = `translateX(${-g.scrollPos}px)`;
+        updateGalleryWindow(name);
 
-        if (g.progressFill) {
-            const pct = g.scrollMax > 0 ? (g.scrollPos / g.scrollMax) * 100 : 0;
-            g.progressFill.style.width = `${pct}%`;
+        if (g.minimapWindow && g.trackW > 0) {
+            const viewW = g.viewport.offsetWidth;
+            g.minimapWindow.style.left = `${(g.scrollPos / g.trackW) * 100}%`;
+            g.minimapWindow.style.width = `${Math.min(100, (viewW / g.trackW) * 100)}%`;
         }
     }
-    requestAnimationFrame(tick);
+    if (unsettled) requestTick();
+}
+
+// ============================================
+// MINIMAP
+// ============================================
+
+// One tiny mark per hex, positioned as a fraction of the full track so the
+// minimap always spans the gallery's width regardless of how long it is.
+function renderMinimap(name) {
+    const g = galleries[name];
+    if (!g || !g.minimap) return;
+    const marks = g.minimap.querySelector('.minimap-marks');
+    if (!g.trackW || g.hexLayout.length === 0) {
+        marks.innerHTML = '';
+        g.minimap.classList.add('empty');
+        return;
+    }
+    g.minimap.classList.remove('empty');
+
+    const galleryH = layoutConfig.galleryH;
+    marks.innerHTML = g.hexLayout.map(hex => {
+        const color = typeConfig[hex.entry.type]?.color || '#ff6b00';
+        const cluster = hex.entry._cluster ? ' minimap-mark-cluster' : '';
+        return `<span class="minimap-mark${cluster}" style="left:${(hex.x / g.trackW) * 100}%;top:${(hex.y / galleryH) * 100}%;
+            width:${Math.max(0.3, (hex.w / g.trackW) * 100)}%;background:${color};"></span>`;
+    }).join('');
+}
+
+// Hex nearest to a minimap x coordinate, if one is within a few pixels
+function minimapHexAt(g, clientX) {
+    const rect = g.minimap.getBoundingClientRect();
+    if (!rect.width || g.hexLayout.length === 0) return null;
+    const x = ((clientX - rect.left) / rect.width) * g.trackW;
+    const nearest = g.hexLayout.reduce((a, b) => Math.abs(b.x - x) < Math.abs(a.x - x) ? b : a);
+    const slack = (6 / rect.width) * g.trackW + nearest.w / 2;
+    return Math.abs(nearest.x - x) <= slack ? nearest : null;
+}
+
+function setupMinimapEvents(name) {
+    const g = galleries[name];
+    if (!g.minimap) return;
+    const tooltip = g.minimap.querySelector('.minimap-tooltip');
+    let scrubbing = false;
+    let grabOffset = 0;  // px between the pointer and the window's left edge, in track space
+
+    function trackX(clientX) {
+        const rect = g.minimap.getBoundingClientRect();
+        return rect.width ? ((clientX - rect.left) / rect.width) * g.trackW : 0;
+    }
+
+    function scrubTo(clientX, immediate) {
+        scrollGallery(g, trackX(clientX) - grabOffset, immediate);
+    }
+
+    // Grabbing the window drags it; clicking elsewhere jumps there (centered)
+    // and keeps scrubbing until release
+    function startScrub(clientX, target) {
+        scrubbing = true;
+        grabOffset = target.closest('.minimap-window')
+            ? trackX(clientX) - g.scrollPos
+            : g.viewport.offsetWidth / 2;
+        g.minimap.classList.add('scrubbing');
+        scrubTo(clientX, false);
+    }
+
+    function endScrub() {
+        scrubbing = false;
+        g.minimap.classList.remove('scrubbing');
+    }
+
+    g.minimap.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        startScrub(e.clientX, e.target);
+    });
+    window.addEventListener('mousemove', (e) => {
+        if (scrubbing) scrubTo(e.clientX, true);
+    });
+    window.addEventListener('mouseup', endScrub);
+
+    g.minimap.addEventListener('touchstart', (e) => {
+        startScrub(e.touches[0].clientX, e.target);
+    }, { passive: true });
+    g.minimap.addEventListener('touchmove', (e) => {
+        if (!scrubbing) return;
+        e.preventDefault();
+        scrubTo(e.touches[0].clientX, true);
+    }, { passive: false });
+    g.minimap.addEventListener('touchend', endScrub);
+
+    // Hover: title of the nearest mark
+    g.minimap.addEventListener('mousemove', (e) => {
+        const hex = scrubbing ? null : minimapHexAt(g, e.clientX);
+        if (!hex) {
+            tooltip.classList.remove('visible');
+            return;
+        }
+        tooltip.textContent = hex.entry._cluster
+            ? `${hex.entry.bucketLabel} · ${hex.entry.title}`
+            : hex.entry.title;
+        tooltip.style.left = `${(hex.x / g.trackW) * 100}%`;
+        tooltip.classList.add('visible');
+    });
+    g.minimap.addEventListener('mouseleave', () => tooltip.classList.remove('visible'));
+}
+
+// ============================================
+// DEPENDENCY CLOSURE
+// ============================================
+// Everything a skill pulls in and everything that pulls it in, across all
+// skills — the search filters never hide a dependency. Cycles are fine:
+// each skill is visited once.
+
+// Breadth-first from `start` along next(name) → [names]. Returns a Map of
+// name → hops away, nearest first, without `start` itself.
+function walkClosure(start, next) {
+    const hopsOf = new Map();
+    let frontier = [start];
+    for (let hops = 1; frontier.length > 0; hops++) {
+        const following = [];
+        frontier.forEach(name => {
+            (next(name) || []).forEach(n => {
+                if (n === start || hopsOf.has(n)) return;
+                hopsOf.set(n, hops);
+                following.push(n);
+            });
+        });
+        frontier = following;
+    }
+    return hopsOf;
+}
+
+function skillGraph() {
+    const skills = galleries.skills ? galleries.skills.allEntries : [];
+    const byName = new Map(skills.map(e => [e.title, e]));
+    const dependentsOf = new Map();
+    skills.forEach(e => (e.dependencies || []).forEach(d => {
+        if (!dependentsOf.has(d)) dependentsOf.set(d, []);
+        dependentsOf.get(d).push(e.title);
+    }));
+    return {
+        byName,
+        depsOf: name => byName.get(name)?.dependencies || [],
+        dependentsOf: name => dependentsOf.get(name) || []
+    };
+}
+
+let skillClosureCache = { skills: null, services: null, graph: null, byTitle: new Map() };
+
+// deps / dependents: Map name → hops. services / sdk: Map name → the skills
+// in the closure that need it, the skill itself first when it does.
+// Rebuilt only when the skills or services feed changes; don't mutate.
+function skillClosure(title) {
+    const skills = galleries.skills ? galleries.skills.allEntries : [];
+    if (skillClosureCache.skills !== skills || skillClosureCache.services !== serviceRefs.services) {
+        skillClosureCache = { skills, services: serviceRefs.services, graph: skillGraph(), byTitle: new Map() };
+    }
+    if (!skillClosureCache.byTitle.has(title)) {
+        skillClosureCache.byTitle.set(title, buildSkillClosure(skillClosureCache.graph, title));
+    }
+    return skillClosureCache.byTitle.get(title);
+}
+
+function buildSkillClosure(graph, title) {
+    const deps = walkClosure(title, graph.depsOf);
+    const dependents = walkClosure(title, graph.dependentsOf);
+    const services = new Map();
+    const sdk = new Map();
+    const collect = (map, values, name) => values.forEach(v => {
+        if (!map.has(v)) map.set(v, []);
+        map.get(v).push(name);
+    });
+    [title, ...deps.keys()].forEach(name => {
+        const e = graph.byName.get(name);
+        if (!e) return;
+        collect(services, (e.service_dependencies || []).map(serviceRefTitle), name);
+        collect(sdk, e.sdk_functions || [], name);
+    });
+    return { deps, dependents, services, sdk, known: graph.byName };
+}
+
+// Popup sections for a skill: the full closure instead of the direct lists
+function skillClosureHTML(entry) {
+    const { deps, dependents, services, sdk, known } = skillClosure(entry.title);
+
+    const skillChip = (name, hops) => known.has(name)
+        ? `<button type="button" class="popup-file popup-skill-link${hops === 1 ? ' direct' : ''}" data-skill="${escapeHTML(name)}"
+            title="${hops === 1 ? 'Direct' : `${hops} hops away`}">${escapeHTML(name)}</button>`
+        : `<code class="popup-file unresolved" title="No skill with this name">${escapeHTML(name)}</code>`;
+    const usedChip = (name, usedBy) => {
+        const own = usedBy[0] === entry.title;
+        const via = usedBy.filter(n => n !== entry.title);
+        return `<code class="popup-file${own ? '' : ' inherited'}"${via.length ? ` title="${escapeHTML(`${own ? 'also ' : ''}via ${via.join(', ')}`)}"` : ''}>${escapeHTML(name)}</code>`;
+    };
+    const serviceChip = (name, usedBy) => {
+        const own = usedBy[0] === entry.title;
+        const via = usedBy.filter(n => n !== entry.title);
+        return serviceRefChipHTML(name, `${own ? '' : ' inherited'}`, via.length ? `${own ? 'also ' : ''}via ${via.join(', ')}` : '');
+    };
+    const section = (label, chips) => chips.length === 0 ? '' : `<div class="popup-files">
+            <span class="popup-files-label">${label}</span>
+            <div class="popup-files-list">${chips.join('')}</div>
+        </div>`;
+    const countLabel = (label, total, direct, directWord) =>
+        `${label} &middot; ${total}${direct < total ? ` <span class="popup-files-note">(${direct} ${directWord})</span>` : ''}`;
+
+    const directDeps = [...deps.values()].filter(h => h === 1).length;
+    const directDependents = [...dependents.values()].filter(h => h === 1).length;
+    const ownServices = [...services.values()].filter(u => u[0] === entry.title).length;
+    const ownSdk = [...sdk.values()].filter(u => u[0] === entry.title).length;
+
+    return [
+        section(countLabel('Depends on', deps.size, directDeps, 'direct'), [...deps].map(([n, h]) => skillChip(n, h))),
+        section(countLabel('Used by', dependents.size, directDependents, 'direct'), [...dependents].map(([n, h]) => skillChip(n, h))),
+        section(countLabel('Services', services.size, ownServices, 'its own'), [...services].map(([n, u]) => serviceChip(n, u))),
+        section(countLabel('SDK', sdk.size, ownSdk, 'its own'), [...sdk].map(([n, u]) => usedChip(n, u)))
+    ].join('');
+}
+
+// Popup chips and TidyBotTimeline.openEntry: look the name (title or
+// entryKey) up in the whole feed and clear the filters if they hide it.
+// False when nothing by that name is loaded.
+function openEntryPopup(galleryName, name) {
+    const g = galleries[galleryName];
+    const entry = g ? g.allEntries.find(e => e.title === name || entryKey(e) === name) : null;
+    if (!entry) return false;
+    if (!g.entries.includes(entry)) clearFilters();
+    const index = g.entries.indexOf(entry);
+    if (index >= 0) openPopup(galleryName, index);
+    return index >= 0;
+}
+
+// ============================================
+// SERVICE REFERENCES
+// ============================================
+// service_dependencies are free text from each skill's services.txt, while
+// services.json lists the service repos that exist. Every reference is
+// resolved to one of those repos or flagged as unresolved.
+
+// Legacy repo names. Mirrors REPO_RENAMES in .github/workflows/fetch-commits.yml.
+const SERVICE_ALIASES = {
+    'tidybot-agent-server': 'agent_server',
+    'gripper_server': 'gripper_robotiq_service',
+    'backend_wishlist': 'services_wishlist'
+};
+
+const SERVICE_REFS_SOURCE = 'services.txt';
+
+// Every service repo, agents included, and serviceKey → repo for lookups
+let serviceRefs = { services: [], index: new Map() };
+
+// services.txt spellings drift (arm-franka-service, Arm_Franka_Service)
+function serviceKey(name) {
+    return String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// owner/repo, GitHub URLs and a trailing .git all name the same repo
+function serviceRefName(ref) {
+    return String(ref).trim().replace(/\.git$/i, '').split('/').filter(Boolean).pop() || '';
+}
+
+function setKnownServices(services) {
+    const index = new Map();
+    services.forEach(s => index.set(serviceKey(s.title), s));
+
+    // "yolo" for yolo-service, as long as only one repo answers to it
+    const bare = new Map();
+    services.forEach(s => {
+        const short = serviceKey(s.title).replace(/_service$/, '');
+        if (short === serviceKey(s.title) || index.has(short)) return;
+        bare.set(short, bare.has(short) ? null : s);
+    });
+    bare.forEach((s, short) => { if (s) index.set(short, s); });
+
+    Object.entries(SERVICE_ALIASES).forEach(([legacy, canonical]) => {
+        const s = index.get(serviceKey(canonical));
+        if (s && !index.has(serviceKey(legacy))) index.set(serviceKey(legacy), s);
+    });
+
+    serviceRefs = { services, index };
+}
+
+// Nothing can be flagged until services.json has loaded
+function serviceRefsKnown() {
+    return serviceRefs.services.length > 0;
+}
+
+function resolveServiceRef(ref) {
+    return serviceRefs.index.get(serviceKey(serviceRefName(ref))) || null;
+}
+
+// The repo name a reference stands for, or the reference itself
+function serviceRefTitle(ref) {
+    return resolveServiceRef(ref)?.title || ref;
+}
+
+function unresolvedServiceRefs(entry) {
+    if (!serviceRefsKnown()) return [];
+    return (entry.service_dependencies || []).filter(ref => !resolveServiceRef(ref));
+}
+
+// One diagnostic per reference nothing in services.json answers to
+function checkServiceRefs(skills) {
+    clearDiagnostics(SERVICE_REFS_SOURCE);
+    skills.forEach(skill => unresolvedServiceRefs(skill).forEach(ref => addDiagnostic({
+        source: SERVICE_REFS_SOURCE,
+        level: 'warning',
+        record: skill.title,
+        field: 'service_dependencies',
+        message: `"${ref}" matches no repo in services.json`
+    })));
+}
+
+// Popup chip: a link to the service's hex when it has one in the services
+// gallery (agents live outside it), flagged when it resolves to nothing
+function serviceRefChipHTML(ref, cls = '', note = '') {
+    const service = resolveServiceRef(ref);
+    const tip = text => [text, note].filter(Boolean).join(' \u2014 ');
+    if (!service) {
+        const unknown = serviceRefsKnown() ? ' unresolved' : '';
+        return `<code class="popup-file${cls}${unknown}" title="${escapeHTML(tip(unknown ? 'No repo in services.json matches this name' : ''))}">${escapeHTML(ref)}</code>`;
+    }
+    const renamed = service.title !== ref ? `Listed as ${ref}` : '';
+    if (!galleries.services || !galleries.services.allEntries.some(e => e.title === service.title)) {
+        return `<code class="popup-file${cls}" title="${escapeHTML(tip(renamed))}">${escapeHTML(service.title)}</code>`;
+    }
+    return `<button type="button" class="popup-file popup-service-link${cls}" data-service="${escapeHTML(service.title)}"
+        title="${escapeHTML(tip(renamed || 'Show this service'))}">${escapeHTML(service.title)}</button>`;
+}
+
+// Warning tag inside a skill hex (timeline or tree)
+function serviceRefBadgeHTML(entry) {
+    const unresolved = unresolvedServiceRefs(entry);
+    if (unresolved.length === 0) return '';
+    return `<span class="hex-ref-warning" title="${escapeHTML(`Unknown ${unresolved.length === 1 ? 'service' : 'services'}: ${unresolved.join(', ')}`)}">&#9888; ${unresolved.length} unknown ${unresolved.length === 1 ? 'service' : 'services'}</span>`;
+}
+
+// ============================================
+// SERVICE USAGE
+// ============================================
+// The reverse of every skill's service_dependencies: who needs a service,
+// directly or through a skill they depend on. "arm_franka_service is down —
+// what breaks?"
+
+let serviceUsageCache = { skills: null, services: null, usage: null };
+
+// Service title → { direct: [skill entries], indirect: [skill entries] }.
+// Rebuilt only when the skills or services feed changes.
+function serviceUsage() {
+    const skills = galleries.skills ? galleries.skills.allEntries : [];
+    if (serviceUsageCache.skills === skills && serviceUsageCache.services === serviceRefs.services) {
+        return serviceUsageCache.usage;
+    }
+
+    const graph = skillGraph();
+    const usage = new Map();
+    skills.forEach(skill => {
+        (skill.service_dependencies || []).forEach(ref => {
+            const service = resolveServiceRef(ref);
+            if (!service) return;
+            if (!usage.has(service.title)) usage.set(service.title, { direct: new Set(), indirect: new Set() });
+            usage.get(service.title).direct.add(skill.title);
+        });
+    });
+    usage.forEach(u => {
+        u.direct.forEach(title => {
+            walkClosure(title, graph.dependentsOf).forEach((hops, name) => u.indirect.add(name));
+        });
+        u.direct.forEach(title => u.indirect.delete(title));
+        const toEntries = names => [...names].map(n => graph.byName.get(n)).filter(Boolean);
+        u.direct = toEntries(u.direct);
+        u.indirect = toEntries(u.indirect);
+    });
+
+    serviceUsageCache = { skills, services: serviceRefs.services, usage };
+    return usage;
+}
+
+function skillsUsingService(serviceTitle) {
+    return serviceUsage().get(serviceTitle) || { direct: [], indirect: [] };
+}
+
+function serviceUsageCount(serviceTitle) {
+    const { direct, indirect } = skillsUsingService(serviceTitle);
+    return direct.length + indirect.length;
+}
+
+// Service popup section: the skills that need it, lowest success rate first
+// (those are the ones to look at when the service misbehaves)
+function serviceUsersHTML(entry) {
+    const { direct, indirect } = skillsUsingService(entry.title);
+    const byRate = (a, b) => (a.success_rate ?? Infinity) - (b.success_rate ?? Infinity) || a.title.localeCompare(b.title);
+    const chip = skill => `<button type="button" class="popup-file popup-skill-link" data-skill="${escapeHTML(skill.title)}">
+        ${escapeHTML(skill.title)}<span class="popup-chip-rate">${skill.success_rate != null ? `${escapeHTML(skill.success_rate)}%` : '&mdash;'}</span>
+    </button>`;
+    const section = (label, skills) => `<div class="popup-files">
+            <span class="popup-files-label">${label}</span>
+            <div class="popup-files-list">${skills.length > 0
+                ? [...skills].sort(byRate).map(chip).join('')
+                : '<span class="popup-files-empty">No skill lists this service</span>'}</div>
+        </div>`;
+    return section(`Used by &middot; ${direct.length} ${direct.length === 1 ? 'skill' : 'skills'}`, direct)
+        + (indirect.length > 0 ? section(`Through dependencies &middot; ${indirect.length}`, indirect) : '');
+}
+
+// ============================================
+// SUCCESS-RATE HISTORY
+// ============================================
+// repos.json only holds the latest stats; repos-history.json keeps a
+// snapshot per skill per day. Hexes get a trend arrow, popups a chart.
+
+const RATE_TREND_DAYS = 7;
+
+function historyDay(date) {
+    return Date.parse(date + 'T00:00:00Z') / DAY_MS;
+}
+
+// Success-rate change in points over the last RATE_TREND_DAYS of snapshots;
+// 0 when no earlier snapshot falls inside that window
+function rateTrend(entry) {
+    const points = (rateHistory.get(entry.title) || []).filter(p => p.success_rate != null);
+    if (points.length < 2) return 0;
+    const last = points[points.length - 1];
+    const base = points.find(p => historyDay(last.date) - historyDay(p.date) <= RATE_TREND_DAYS);
+    return base === last ? 0 : last.success_rate - base.success_rate;
+}
+
+function rateTrendHTML(entry) {
+    const delta = Math.round(rateTrend(entry));
+    if (delta === 0) return '';
+    const up = delta > 0;
+    return `<span class="hex-rate-trend ${up ? 'up' : 'down'}" title="${up ? 'Up' : 'Down'} ${Math.abs(delta)} points over the last ${RATE_TREND_DAYS} days">${up ? '&uarr;' : '&darr;'}</span>`;
+}
+
+// Popup chart: success rate as a line over trial counts as bars, both
+// against the snapshot date
+function rateHistoryHTML(entry) {
+    const points = rateHistory.get(entry.title) || [];
+    if (points.length < 2) return '';
+
+    const W = 280, H = 72, PAD = 4;
+    const first = historyDay(points[0].date);
+    const span = Math.max(1, historyDay(points[points.length - 1].date) - first);
+    const maxTrials = Math.max(0, ...points.map(p => p.total_trials || 0));
+    const x = p => PAD + (historyDay(p.date) - first) / span * (W - PAD * 2);
+    const yRate = rate => H - PAD - rate / 100 * (H - PAD * 2);
+    const barW = Math.max(1, Math.min(8, (W - PAD * 2) / points.length - 1));
+
+    const bars = points.filter(p => p.total_trials).map(p => {
+        const h = p.total_trials / maxTrials * (H - PAD * 2);  // only non-zero counts get here
+        return `<rect class="rate-chart-trials" x="${(x(p) - barW / 2).toFixed(1)}" y="${(H - PAD - h).toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}"></rect>`;
+    }).join('');
+    const rated = points.filter(p => p.success_rate != null);
+    const line = rated.map(p => `${x(p).toFixed(1)},${yRate(p.success_rate).toFixed(1)}`).join(' ');
+    const dots = rated.map(p => `<circle class="rate-chart-point" cx="${x(p).toFixed(1)}" cy="${yRate(p.success_rate).toFixed(1)}" r="2">
+            <title>${escapeHTML(`${p.date}: ${p.success_rate}% · ${p.total_trials ?? '—'} trials`)}</title>
+        </circle>`).join('');
+
+    const firstRated = rated[0], lastRated = rated[rated.length - 1];
+    const summary = [
+        firstRated ? `success rate ${firstRated.success_rate}% to ${lastRated.success_rate}%` : '',
+        `trials ${points[0].total_trials ?? '—'} to ${points[points.length - 1].total_trials ?? '—'}`,
+        `${points[0].date} to ${points[points.length - 1].date}`
+    ].filter(Boolean).join(', ');
+
+    return `<div class="popup-files popup-rate-history">
+            <span class="popup-files-label">History &middot; ${points.length} snapshots</span>
+            <svg class="rate-chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHTML(summary)}">
+                <line class="rate-chart-grid" x1="${PAD}" y1="${yRate(50)}" x2="${W - PAD}" y2="${yRate(50)}"></line>
+                ${bars}
+                ${rated.length > 1 ? `<polyline class="rate-chart-line" points="${line}"></polyline>` : ''}
+                ${dots}
+            </svg>
+            <div class="rate-chart-axis">
+                <span>${escapeHTML(points[0].date)}</span>
+                <span class="rate-chart-legend"><span class="rate-chart-key rate"></span>Success${maxTrials > 0 ? ` <span class="rate-chart-key trials"></span>Trials (max ${maxTrials})` : ''}</span>
+                <span>${escapeHTML(points[points.length - 1].date)}</span>
+            </div>
+        </div>`;
 }
 
 // ============================================
@@ -390,6 +1029,7 @@ function openPopup(galleryName, index) {
     if (!g) return;
     const entry = g.entries[index];
     if (!entry) return;
+    const wasOpen = activePopup !== null;
 
     // Deselect previous
     if (activePopup) {
@@ -401,12 +1041,22 @@ function openPopup(galleryName, index) {
     activateHex(galleryName, index);
 
     // Center scroll on hex
-    const hex = g.hexLayout[index];
+    const hex = findHexForEntry(g, index);
     if (hex) {
-        g.scrollTarget = clamp(hex.x - g.viewport.offsetWidth / 2, 0, g.scrollMax);
+        scrollGallery(g, hex.x - g.viewport.offsetWidth / 2);
     }
 
-    // Build popup content
+    renderPopupContent(galleryName, entry);
+
+    const overlay = document.getElementById('popup-overlay');
+    overlay.classList.add('open');
+    openDialog(overlay, overlay.querySelector('.popup-card'));
+    // One history entry per popup session; moving to another entry replaces it
+    updateRoute(wasOpen ? 'replace' : 'push');
+}
+
+// Popup body for one entry, with its trial gallery and chips wired up
+function renderPopupContent(galleryName, entry) {
     const typeColor = typeConfig[entry.type]?.color || '#ff6b00';
     const typeLabel = typeConfig[entry.type]?.label || entry.type;
 
@@ -415,7 +1065,7 @@ function openPopup(galleryName, index) {
         filesHTML = `<div class="popup-files">
             <span class="popup-files-label">Files changed</span>
             <div class="popup-files-list">
-                ${entry.files.map(f => `<code class="popup-file">${f}</code>`).join('')}
+                ${entry.files.map(f => `<code class="popup-file">${escapeHTML(f)}</code>`).join('')}
             </div>
         </div>`;
     }
@@ -425,7 +1075,7 @@ function openPopup(galleryName, index) {
         depsHTML = `<div class="popup-files">
             <span class="popup-files-label">Dependencies</span>
             <div class="popup-files-list">
-                ${entry.dependencies.map(d => `<code class="popup-file">${d}</code>`).join('')}
+                ${entry.dependencies.map(d => `<code class="popup-file">${escapeHTML(d)}</code>`).join('')}
             </div>
         </div>`;
     }
@@ -435,7 +1085,7 @@ function openPopup(galleryName, index) {
         servicesHTML = `<div class="popup-files">
             <span class="popup-files-label">Services</span>
             <div class="popup-files-list">
-                ${entry.service_dependencies.map(s => `<code class="popup-file">${s}</code>`).join('')}
+                ${entry.service_dependencies.map(s => serviceRefChipHTML(s)).join('')}
             </div>
         </div>`;
     }
@@ -445,7 +1095,7 @@ function openPopup(galleryName, index) {
         sdkHTML = `<div class="popup-files">
             <span class="popup-files-label">SDK</span>
             <div class="popup-files-list">
-                ${entry.sdk_functions.map(f => `<code class="popup-file">${f}</code>`).join('')}
+                ${entry.sdk_functions.map(f => `<code class="popup-file">${escapeHTML(f)}</code>`).join('')}
             </div>
         </div>`;
     }
@@ -455,47 +1105,78 @@ function openPopup(galleryName, index) {
         repoMeta = `<div class="popup-files">
             <span class="popup-files-label">Language</span>
             <div class="popup-files-list">
-                <code class="popup-file">${entry.language || 'Unknown'}</code>
+                <code class="popup-file">${escapeHTML(entry.language || 'Unknown')}</code>
             </div>
         </div>`;
         if (entry.success_rate != null) {
             repoMeta += `<div class="popup-stats">
                 <div class="popup-stat">
-                    <span class="popup-stat-value" style="color:${typeColor};">${entry.success_rate}%</span>
+                    <span class="popup-stat-value" style="color:${typeColor};">${escapeHTML(entry.success_rate)}%</span>
                     <span class="popup-stat-label">Success Rate</span>
                 </div>
                 <div class="popup-stat">
-                    <span class="popup-stat-value">${entry.total_trials ?? '—'}</span>
+                    <span class="popup-stat-value">${escapeHTML(entry.total_trials ?? '—')}</span>
                     <span class="popup-stat-label">Total Trials</span>
                 </div>
                 <div class="popup-stat">
-                    <span class="popup-stat-value">${entry.institutions_tested ?? '—'}</span>
+                    <span class="popup-stat-value">${escapeHTML(entry.institutions_tested ?? '—')}</span>
                     <span class="popup-stat-label">Institutions</span>
                 </div>
             </div>`;
         }
+        repoMeta += rateHistoryHTML(entry);
     }
 
-    let repoLink = '';
-    if (entry._isRepo && entry.html_url) {
-        repoLink = `<a href="${entry.html_url}" target="_blank" rel="noopener noreferrer" class="popup-repo-link">View Repo →</a>`;
-    }
+    let commitMeta = '';
+    if (entry.sha) {
+        commitMeta = `<div class="popup-files">
+            <span class="popup-files-label">Commit</span>
+            <div class="popup-files-list">
+                <code class="popup-file">${escapeHTML(entry.sha)}</code>
+            </div>
+        </div>`;
+        if (entry.author) {
+            commitMeta += `<div class="popup-files">
+                <span class="popup-files-label">Author</span>
+                <div class="popup-files-list">
+                    <code class="popup-file">${escapeHTML(entry.author)}</code>
+                </div>
+            </div>`;
+        }
+        if (entry.repo) {
+            commitMeta += `<div class="popup-files">
+                <span class="popup-files-label">Repo</span>
+                <div class="popup-files-list">
+                    <code class="popup-file">${escapeHTML(entry.repo)}</code>
+                </div>
+            </div>`;
+        }
+    }
+
+    let repoLink = '';
+    const linkURL = attrURL(entry.html_url);
+    if (entry._isRepo && linkURL) {
+        repoLink = `<a href="${linkURL}" target="_blank" rel="noopener noreferrer" class="popup-repo-link">View Repo →</a>`;
+    } else if (entry.sha && linkURL) {
+        repoLink = `<a href="${linkURL}" target="_blank" rel="noopener noreferrer" class="popup-repo-link">View Commit →</a>`;
+    }
 
     let imageHTML = '';
-    if (entry.image) {
-        imageHTML = `<div class="popup-image"><img src="${entry.image}" alt="${entry.title}"></div>`;
+    if (safeURL(entry.image)) {
+        imageHTML = `<div class="popup-image"><img src="${attrURL(entry.image)}" alt="${escapeHTML(entry.title)}"></div>`;
     }
 
     let trialHTML = '';
-    if (entry.trial_images && entry.trial_images.length > 0) {
-        const imgs = entry.trial_images;
+    const trialImages = (entry.trial_images || []).filter(safeURL);
+    if (trialImages.length > 0) {
+        const imgs = trialImages;
         // Split into wrist (first half) and base (second half) rows
         const half = Math.ceil(imgs.length / 2);
         const wristImgs = imgs.slice(0, half);
         const baseImgs = imgs.slice(half);
 
         const makeRow = (list, offset) => list.map((url, i) =>
-            `<div class="trial-thumb${offset + i === 0 ? ' active' : ''}" data-index="${offset + i}" style="background-image:url(${url});"></div>`
+            `<div class="trial-thumb${offset + i === 0 ? ' active' : ''}" data-index="${offset + i}" style="background-image:${cssURL(url)};"></div>`
         ).join('');
 
         const wristRow = wristImgs.length > 0
@@ -506,7 +1187,7 @@ function openPopup(galleryName, index) {
         trialHTML = `<div class="popup-trial-gallery">
             <span class="popup-files-label">Successful Trial</span>
             <div class="trial-hero">
-                <img class="trial-hero-img" src="${imgs[0]}" alt="Trial photo 1">
+                <img class="trial-hero-img" src="${attrURL(imgs[0])}" alt="Trial photo 1">
                 <span class="trial-counter">1 / ${imgs.length}</span>
             </div>
             ${wristRow}
@@ -516,19 +1197,20 @@ function openPopup(galleryName, index) {
 
     document.getElementById('popup-inner').innerHTML = `
         <div class="popup-header">
-            <span class="popup-number" style="color:${typeColor};">#${entry.id}</span>
-            <span class="popup-type" style="--type-color:${typeColor};">${typeLabel}</span>
-            <span class="popup-date">${entry.timestamp || ''}</span>
+            <span class="popup-number" style="color:${typeColor};">#${escapeHTML(entry.id)}</span>
+            <span class="popup-type" style="--type-color:${typeColor};">${escapeHTML(typeLabel)}</span>
+            <span class="popup-date">${escapeHTML(entry.timestamp)}</span>
         </div>
         ${imageHTML}
         ${trialHTML}
-        <h2 class="popup-title">${entry.title}</h2>
-        <p class="popup-desc">${entry.description}</p>
+        <h2 class="popup-title" id="popup-title">${escapeHTML(entry.title)}</h2>
+        <p class="popup-desc">${escapeHTML(entry.description)}</p>
         ${filesHTML}
-        ${depsHTML}
-        ${servicesHTML}
-        ${sdkHTML}
+        ${galleryName === 'skills' ? skillClosureHTML(entry) : depsHTML + servicesHTML + sdkHTML}
+        ${galleryName === 'services' ? serviceUsersHTML(entry) : ''}
+        ${galleryName === 'skills' ? capabilityPopupHTML(entry) : ''}
         ${repoMeta}
+        ${commitMeta}
         ${repoLink}
     `;
 
@@ -541,26 +1223,41 @@ function openPopup(galleryName, index) {
         thumbs.forEach(thumb => {
             thumb.addEventListener('click', () => {
                 const idx = parseInt(thumb.dataset.index, 10);
-                heroImg.src = entry.trial_images[idx];
+                heroImg.src = safeURL(trialImages[idx]);
                 heroImg.alt = `Trial photo ${idx + 1}`;
-                counter.textContent = `${idx + 1} / ${entry.trial_images.length}`;
+                counter.textContent = `${idx + 1} / ${trialImages.length}`;
                 thumbs.forEach(t => t.classList.remove('active'));
                 thumb.classList.add('active');
             });
         });
     }
 
-    document.getElementById('popup-overlay').classList.add('open');
+    document.querySelectorAll('#popup-inner .popup-skill-link').forEach(chip => {
+        chip.addEventListener('click', () => openEntryPopup('skills', chip.dataset.skill));
+    });
+    document.querySelectorAll('#popup-inner .popup-service-link').forEach(chip => {
+        chip.addEventListener('click', () => openEntryPopup('services', chip.dataset.service));
+    });
 }
 
 function closePopup() {
-    document.getElementById('popup-overlay').classList.remove('open');
+    const overlay = document.getElementById('popup-overlay');
+    overlay.classList.remove('open');
+    closeDialog(overlay);
     if (activePopup) {
         deactivateHex(activePopup.galleryName, activePopup.index);
         activePopup = null;
+        updateRoute('replace');
     }
 }
 
+// Close button, backdrop, Escape: step back over the entry openPopup pushed,
+// so Back afterwards doesn't reopen the popup (popstate does the closing)
+function dismissPopup() {
+    if (activePopup && history.state?.popup) history.back();
+    else closePopup();
+}
+
 function activateHex(galleryName, index) {
     const section = galleries[galleryName]?.section;
     if (!section) return;
@@ -596,7 +1293,7 @@ function setupGalleryEvents(name) {
             dragMoved = true;
             g.viewport.style.cursor = 'grabbing';
         }
-        g.scrollTarget = clamp(g.dragScroll + dx, 0, g.scrollMax);
+        scrollGallery(g, g.dragScroll + dx);
     });
 
     window.addEventListener('mouseup', () => {
@@ -631,25 +1328,212 @@ function setupGalleryEvents(name) {
 
         e.preventDefault();
         dragMoved = true;
-        g.scrollTarget = clamp(g.dragScroll + dx, 0, g.scrollMax);
+        scrollGallery(g, g.dragScroll + dx);
     }, { passive: false });
 
     g.viewport.addEventListener('touchend', () => { g.dragging = false; g.touchLocked = false; });
 
+    // Sequence / time axis toggle
+    const axisToggle = g.section.querySelector('.gallery-axis-toggle');
+    if (axisToggle) {
+        axisToggle.addEventListener('click', (e) => {
+            const btn = e.target.closest('.view-toggle-btn');
+            if (btn) setGalleryAxis(name, btn.dataset.axis);
+        });
+    }
+
+    // Zoom level toggle
+    const zoomToggle = g.section.querySelector('.gallery-zoom-toggle');
+    if (zoomToggle) {
+        zoomToggle.addEventListener('click', (e) => {
+            const btn = e.target.closest('.view-toggle-btn');
+            if (btn) setGalleryZoom(name, btn.dataset.zoom, g.viewport.offsetWidth / 2);
+        });
+    }
+
+    // Ctrl+wheel (and trackpad pinch, which browsers report as ctrl+wheel)
+    let wheelZoom = 0, wheelZoomAt = 0;
+    g.viewport.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey) return;
+        e.preventDefault();
+        wheelZoom += e.deltaY;
+        const now = Date.now();
+        if (Math.abs(wheelZoom) < 40 || now - wheelZoomAt < 300) return;
+        stepGalleryZoom(name, wheelZoom < 0 ? 1 : -1, e.clientX - g.viewport.getBoundingClientRect().left);
+        wheelZoom = 0;
+        wheelZoomAt = now;
+    }, { passive: false });
+
+    // Two-finger pinch on touch screens
+    let pinchDist = 0;
+    const touchDist = (t) => Math.hypot(t[0].clientX - t[1].clientX, t[0].clientY - t[1].clientY);
+    g.viewport.addEventListener('touchstart', (e) => {
+        if (e.touches.length === 2) pinchDist = touchDist(e.touches);
+    }, { passive: true });
+    g.viewport.addEventListener('touchmove', (e) => {
+        if (e.touches.length !== 2 || !pinchDist) return;
+        e.preventDefault();
+        const ratio = touchDist(e.touches) / pinchDist;
+        if (ratio > 1.3 || ratio < 0.75) {
+            const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+            stepGalleryZoom(name, ratio > 1 ? 1 : -1, midX - g.viewport.getBoundingClientRect().left);
+            pinchDist = touchDist(e.touches);
+        }
+    }, { passive: false });
+    g.viewport.addEventListener('touchend', (e) => {
+        if (e.touches.length < 2) pinchDist = 0;
+    });
+
+    // Keyboard: arrows walk hexLayout, Enter/Space opens (or zooms into a cluster)
+    g.viewport.addEventListener('keydown', (e) => {
+        const card = e.target.closest('.hex-card');
+        if (!card) return;
+        const slot = parseInt(card.dataset.slot, 10);
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            card.click();
+            return;
+        }
+        const next = galleryNeighbour(g.hexLayout, slot, e.key);
+        if (next < 0) return;
+        e.preventDefault();
+        focusHexSlot(name, next);
+    });
+
+    // Focus (including plain Tab) scrolls the focused hex into view. The
+    // viewport clips rather than scrolls, so undo any native scroll-into-view.
+    g.viewport.addEventListener('focusin', (e) => {
+        const card = e.target.closest('.hex-card');
+        g.viewport.scrollLeft = 0;
+        if (!card) return;
+        const slot = parseInt(card.dataset.slot, 10);
+        const hex = g.hexLayout[slot];
+        if (!hex) return;
+        g.focusSlot = slot;
+        g.track.querySelectorAll('.hex-card[tabindex="0"]').forEach(el => { if (el !== card) el.tabIndex = -1; });
+        card.tabIndex = 0;
+        const viewW = g.viewport.offsetWidth;
+        if (hex.x - hex.w / 2 < g.scrollTarget || hex.x + hex.w / 2 > g.scrollTarget + viewW) {
+            scrollGallery(g, hex.x - viewW / 2);
+        }
+    });
+
     // Click
     g.viewport.addEventListener('click', (e) => {
         if (dragMoved) return;
-        const hex = e.target.closest('.hex-card');
-        if (hex) { openPopup(name, parseInt(hex.dataset.index, 10)); return; }
-        const dot = e.target.closest('.hex-dot');
-        if (dot) { openPopup(name, parseInt(dot.dataset.index, 10)); return; }
+        const target = e.target.closest('.hex-card, .hex-dot');
+        if (!target) return;
+        if (target.dataset.cluster !== undefined) {
+            zoomIntoCluster(name, parseInt(target.dataset.cluster, 10));
+        } else {
+            openPopup(name, parseInt(target.dataset.index, 10));
+        }
+    });
+}
+
+// Slot to move to from `slot` for an arrow/Home/End key, or -1.
+// Left/Right follow the timeline order; Up/Down jump to the closest hex
+// above/below (hexes alternate sides of the line).
+function galleryNeighbour(hexLayout, slot, key) {
+    const cur = hexLayout[slot];
+    if (!cur) return -1;
+    switch (key) {
+        case 'ArrowLeft': return slot > 0 ? slot - 1 : -1;
+        case 'ArrowRight': return slot < hexLayout.length - 1 ? slot + 1 : -1;
+        case 'Home': return 0;
+        case 'End': return hexLayout.length - 1;
+        case 'ArrowUp':
+        case 'ArrowDown': {
+            const up = key === 'ArrowUp';
+            let best = -1, bestDx = Infinity;
+            hexLayout.forEach((h, i) => {
+                if (up ? h.y >= cur.y : h.y <= cur.y) return;
+                const dx = Math.abs(h.x - cur.x);
+                if (dx < bestDx) { best = i; bestDx = dx; }
+            });
+            return best;
+        }
+    }
+    return -1;
+}
+
+function focusHexSlot(name, slot) {
+    const g = galleries[name];
+    if (!g || !g.hexLayout[slot]) return;
+    g.focusSlot = slot;  // the focus slot is always mounted
+    updateGalleryWindow(name, true);
+    const card = g.track.querySelector(`.hex-card[data-slot="${slot}"]`);
+    if (card) card.focus({ preventScroll: true });
+}
+
+function setGalleryAxis(name, axis) {
+    const g = galleries[name];
+    if (!g || g.axis === axis) return;
+    g.axis = axis;
+    g.section.querySelectorAll('.gallery-axis-toggle .view-toggle-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.axis === axis);
+    });
+
+    if (activePopup?.galleryName === name) closePopup();
+    const frac = g.scrollMax > 0 ? g.scrollPos / g.scrollMax : 0;
+    renderGallery(name);
+    scrollGallery(g, g.scrollMax * frac, true);
+    announce(`${name} gallery ordered by ${axis === 'time' ? 'time' : 'sequence'}`);
+}
+
+function findHexForEntry(g, index) {
+    const entry = g.entries[index];
+    return g.hexLayout.find(h => h.entryIndex === index || (h.entry._cluster && h.entry.entries.includes(entry)));
+}
+
+// Re-cluster at a new zoom level, keeping whatever was under screenX
+// (px from the viewport's left edge) under it afterwards
+function setGalleryZoom(name, zoom, screenX, anchorEntry) {
+    const g = galleries[name];
+    if (!g || !ZOOM_LEVELS.includes(zoom)) return;
+
+    if (!anchorEntry && g.hexLayout.length > 0) {
+        const contentX = g.scrollPos + screenX;
+        const nearest = g.hexLayout.reduce((a, b) => Math.abs(b.x - contentX) < Math.abs(a.x - contentX) ? b : a);
+        anchorEntry = nearest.entry._cluster ? nearest.entry.entries[0] : nearest.entry;
+    }
+
+    g.zoom = zoom;
+    g.section.querySelectorAll('.gallery-zoom-toggle .view-toggle-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.zoom === zoom);
     });
+    if (activePopup?.galleryName === name) closePopup();
+    renderGallery(name);
+
+    const anchorHex = anchorEntry && findHexForEntry(g, g.entries.indexOf(anchorEntry));
+    scrollGallery(g, anchorHex ? anchorHex.x - screenX : g.scrollTarget, true);
+
+    const clusters = g.hexLayout.filter(h => h.entry._cluster).length;
+    announce(`${name} zoomed to ${zoom}: ${g.hexLayout.length} items${clusters ? `, ${clusters} grouped` : ''}`);
+    if (anchorHex && g.track.contains(document.activeElement)) {
+        focusHexSlot(name, g.hexLayout.indexOf(anchorHex));
+    }
+}
+
+function stepGalleryZoom(name, direction, screenX) {
+    const g = galleries[name];
+    if (!g) return;
+    const next = ZOOM_LEVELS[clamp(ZOOM_LEVELS.indexOf(g.zoom) + direction, 0, ZOOM_LEVELS.length - 1)];
+    if (next !== g.zoom) setGalleryZoom(name, next, screenX);
+}
+
+function zoomIntoCluster(name, slot) {
+    const g = galleries[name];
+    const hex = g?.hexLayout[slot];
+    if (!hex || !hex.entry._cluster) return;
+    const next = ZOOM_LEVELS[Math.min(ZOOM_LEVELS.indexOf(g.zoom) + 1, ZOOM_LEVELS.length - 1)];
+    setGalleryZoom(name, next, g.viewport.offsetWidth / 2, hex.entry.entries[0]);
 }
 
 function setupGlobalEvents() {
     // Popup close
-    document.getElementById('popup-backdrop').addEventListener('click', closePopup);
-    document.getElementById('popup-close').addEventListener('click', closePopup);
+    document.getElementById('popup-backdrop').addEventListener('click', dismissPopup);
+    document.getElementById('popup-close').addEventListener('click', dismissPopup);
 
     // Global wheel: block browser-back gesture & route horizontal to galleries / tree
     window.addEventListener('wheel', (e) => {
@@ -667,7 +1551,7 @@ function setupGlobalEvents() {
         if (treeVp && treeVp.style.display !== 'none') {
             const treeRect = treeVp.getBoundingClientRect();
             if (e.clientY >= treeRect.top && e.clientY <= treeRect.bottom) {
-                treeVp.scrollLeft += e.deltaX;
+                panTree(-e.deltaX, 0);
                 return;
             }
         }
@@ -677,7 +1561,7 @@ function setupGlobalEvents() {
             const g = galleries[name];
             const rect = g.section.getBoundingClientRect();
             if (e.clientY >= rect.top && e.clientY <= rect.bottom) {
-                g.scrollTarget = clamp(g.scrollTarget + e.deltaX, 0, g.scrollMax);
+                scrollGallery(g, g.scrollTarget + e.deltaX);
                 break;
             }
         }
@@ -685,16 +1569,14 @@ function setupGlobalEvents() {
 
     // Keyboard
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') closePopup();
+        if (e.key === 'Escape' && activePopup) dismissPopup();
+        if (e.defaultPrevented || dialogStack.length > 0) return;
+        if (e.target.closest('input, textarea, select')) return;
         if (e.key === 'ArrowRight') {
-            for (const n in galleries) {
-                galleries[n].scrollTarget = clamp(galleries[n].scrollTarget + 200, 0, galleries[n].scrollMax);
-            }
+            for (const n in galleries) scrollGallery(galleries[n], galleries[n].scrollTarget + 200);
         }
         if (e.key === 'ArrowLeft') {
-            for (const n in galleries) {
-                galleries[n].scrollTarget = clamp(galleries[n].scrollTarget - 200, 0, galleries[n].scrollMax);
-            }
+            for (const n in galleries) scrollGallery(galleries[n], galleries[n].scrollTarget - 200);
         }
     });
 
@@ -703,18 +1585,93 @@ function setupGlobalEvents() {
     window.addEventListener('resize', () => {
         clearTimeout(resizeTimer);
         resizeTimer = setTimeout(() => {
-            layoutConfig = getLayoutConfig();
+            layoutConfig = getLayoutConfig(window.innerWidth);
             for (const name in galleries) {
                 const g = galleries[name];
                 const frac = g.scrollMax > 0 ? g.scrollPos / g.scrollMax : 0;
                 renderGallery(name);
-                g.scrollTarget = g.scrollMax * frac;
-                g.scrollPos = g.scrollTarget;
+                scrollGallery(g, g.scrollMax * frac, true);
             }
         }, 150);
     });
 }
 
+// ============================================
+// MOTION / LOW POWER
+// ============================================
+
+const LOW_POWER_KEY = 'low_power';
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+let lowPower = loadLowPower();
+
+// Read while the script loads: blocked storage (privacy modes, sandboxed
+// iframes) throws, and that must not take the galleries down with it
+function loadLowPower() {
+    try {
+        return localStorage.getItem(LOW_POWER_KEY) === '1';
+    } catch (e) {
+        return false;
+    }
+}
+
+// True under the OS reduced-motion setting or the page's low-power toggle
+function motionReduced() {
+    return lowPower || reducedMotionQuery.matches;
+}
+
+function applyMotionPreference() {
+    const reduced = motionReduced();
+    document.body.classList.toggle('low-motion', reduced);
+
+    const honeycomb = document.querySelector('.honeycomb-bg');
+    if (honeycomb && reduced) honeycomb.style.transform = '';
+
+    const video = document.querySelector('.hero-video video');
+    if (video) {
+        if (reduced) video.pause();
+        else video.play().catch(() => {});
+    }
+
+    const btn = document.getElementById('motion-toggle');
+    if (btn) btn.setAttribute('aria-pressed', String(lowPower));
+    requestTick();
+}
+
+function initMotionToggle() {
+    const btn = document.getElementById('motion-toggle');
+    if (btn) {
+        btn.addEventListener('click', () => {
+            lowPower = !lowPower;
+            try {
+                localStorage.setItem(LOW_POWER_KEY, lowPower ? '1' : '0');
+            } catch (e) {
+                // Not remembered across visits, still applied now
+            }
+            applyMotionPreference();
+            announce(lowPower ? 'Low power mode on' : 'Low power mode off');
+        });
+    }
+    reducedMotionQuery.addEventListener('change', applyMotionPreference);
+    applyMotionPreference();
+}
+
+// Offscreen galleries skip the scroll loop and pause their CSS animations
+const galleryObserver = 'IntersectionObserver' in window
+    ? new IntersectionObserver((records) => {
+        records.forEach(record => {
+            const g = Object.values(galleries).find(g => g.section === record.target);
+            if (!g) return;
+            g.onScreen = record.isIntersecting;
+            g.section.classList.toggle('offscreen', !record.isIntersecting);
+            if (g.onScreen) requestTick();
+        });
+    }, { rootMargin: '200px 0px' })
+    : null;
+
+function observeGallery(g) {
+    if (galleryObserver) galleryObserver.observe(g.section);
+}
+
 // ============================================
 // HONEYCOMB BACKGROUND
 // ============================================
@@ -804,6 +1761,7 @@ function initParallax() {
     const honeycomb = document.querySelector('.honeycomb-bg');
     if (!honeycomb) return;
     document.addEventListener('mousemove', (e) => {
+        if (motionReduced()) return;
         const x = (e.clientX / window.innerWidth - 0.5) * 15;
         const y = (e.clientY / window.innerHeight - 0.5) * 15;
         honeycomb.style.transform = `translate(${x}px, ${y}px)`;
@@ -846,24 +1804,24 @@ function renderAgents(entries) {
         return `<div class="agent-item">
             <div class="agent-hex hex-card hex-lg visible"
                  style="width:${hexSize.w}px;height:${hexSize.h}px;--float-delay:${floatDelay}s;position:relative;"
-                 data-url="${entry.html_url || ''}">
+                 data-url="${attrURL(entry.html_url)}">
                 <div class="hex-border">
                     <div class="hex-inner">
                         <div class="hex-bg pattern-${patternIdx}"
                              style="--type-color:${typeColor};"></div>
                         <div class="hex-content">
-                            <span class="hex-type" style="color:${typeColor};">${typeLabel}</span>
-                            <h3 class="hex-title">${entry.title}</h3>
-                            <span class="hex-date">${entry.language || ''}</span>
+                            <span class="hex-type" style="color:${typeColor};">${escapeHTML(typeLabel)}</span>
+                            <h3 class="hex-title">${escapeHTML(entry.title)}</h3>
+                            <span class="hex-date">${escapeHTML(entry.language)}</span>
                         </div>
                     </div>
                 </div>
             </div>
             <div class="agent-blurb">
-                <h3 class="agent-blurb-title">${entry.title}</h3>
-                <p class="agent-blurb-text">${blurb}</p>
-                ${entry.html_url ? `<a href="${entry.html_url}" target="_blank" rel="noopener noreferrer" class="popup-repo-link">View Repo →</a>` : ''}
-                ${AGENT_IMAGES[entry.title] ? `<div class="agent-thumbs">${AGENT_IMAGES[entry.title].map(img => `<img class="agent-thumb" src="${img.src}" data-caption="${img.caption}" alt="${img.caption}">`).join('')}</div>` : ''}
+                <h3 class="agent-blurb-title">${escapeHTML(entry.title)}</h3>
+                <p class="agent-blurb-text">${escapeHTML(blurb)}</p>
+                ${safeURL(entry.html_url) ? `<a href="${attrURL(entry.html_url)}" target="_blank" rel="noopener noreferrer" class="popup-repo-link">View Repo →</a>` : ''}
+                ${AGENT_IMAGES[entry.title] ? `<div class="agent-thumbs">${AGENT_IMAGES[entry.title].map(img => `<img class="agent-thumb" src="${attrURL(img.src)}" data-caption="${escapeHTML(img.caption)}" alt="${escapeHTML(img.caption)}">`).join('')}</div>` : ''}
             </div>
         </div>`;
     }).join('');
@@ -872,8 +1830,8 @@ function renderAgents(entries) {
     grid.querySelectorAll('.agent-hex').forEach(hex => {
         hex.style.cursor = 'pointer';
         hex.addEventListener('click', () => {
-            const url = hex.dataset.url;
-            if (url) window.open(url, '_blank');
+            const url = safeURL(hex.dataset.url);
+            if (url) window.open(url, '_blank', 'noopener');
         });
     });
 }
@@ -918,105 +1876,19 @@ function initLightbox() {
 // DEPENDENCY TREE VIEW
 // ============================================
 
-function computeTreeLayout(entries) {
-    // Build name→entry map
-    const byName = {};
-    entries.forEach(e => { byName[e.title] = e; });
-
-    // Build adjacency: who depends on whom, and who is depended on
-    const depsOf = {};   // name → [dep names]
-    const usedBy = {};   // name → [parent names]
-    entries.forEach(e => {
-        const deps = (e.dependencies || []).filter(d => byName[d]);
-        depsOf[e.title] = deps;
-        deps.forEach(d => {
-            if (!usedBy[d]) usedBy[d] = [];
-            usedBy[d].push(e.title);
-        });
-    });
-
-    // Assign layers: leaf (no deps) = 0, composite = max(dep layers) + 1
-    const layerOf = {};
-    function getLayer(name) {
-        if (layerOf[name] !== undefined) return layerOf[name];
-        const deps = depsOf[name] || [];
-        if (deps.length === 0) {
-            layerOf[name] = 0;
-        } else {
-            layerOf[name] = Math.max(...deps.map(getLayer)) + 1;
-        }
-        return layerOf[name];
-    }
-    entries.forEach(e => getLayer(e.title));
-
-    // Group by layer
-    const layers = {};
-    let maxLayer = 0;
-    entries.forEach(e => {
-        const l = layerOf[e.title];
-        if (!layers[l]) layers[l] = [];
-        layers[l].push(e);
-        if (l > maxLayer) maxLayer = l;
-    });
-
-    // Layout parameters
-    const hexSize = HEX_SIZES.lg;
-    const cfg = layoutConfig;
-    const hw = Math.round(hexSize.w * cfg.sizeScale);
-    const hh = Math.round(hexSize.h * cfg.sizeScale);
-    const hGap = Math.round(40 * cfg.sizeScale);
-    const vGap = Math.round(80 * cfg.sizeScale);
-
-    // Position nodes: top layer (highest) at top, layer 0 at bottom
-    // Center each row horizontally relative to the widest row
-    const nodes = [];
-    const nodeByName = {};
-    const labelPadLeft = 90;
-
-    // Find the widest row to determine total width
-    let maxRowW = 0;
-    for (let l = maxLayer; l >= 0; l--) {
-        const row = layers[l] || [];
-        const rowW = row.length * hw + (row.length - 1) * hGap;
-        if (rowW > maxRowW) maxRowW = rowW;
-    }
-
-    for (let l = maxLayer; l >= 0; l--) {
-        const row = layers[l] || [];
-        const rowY = (maxLayer - l) * (hh + vGap);
-        const rowW = row.length * hw + (row.length - 1) * hGap;
-        const offsetX = labelPadLeft + (maxRowW - rowW) / 2;
-
-        row.forEach((entry, i) => {
-            const x = offsetX + i * (hw + hGap) + hw / 2;
-            const y = rowY + hh / 2;
-            const node = { entry, x, y, w: hw, h: hh, layer: l };
-            nodes.push(node);
-            nodeByName[entry.title] = node;
-        });
-    }
-
-    // Compute edges
-    const edges = [];
-    entries.forEach(e => {
-        const deps = depsOf[e.title] || [];
-        deps.forEach(depName => {
-            if (nodeByName[e.title] && nodeByName[depName]) {
-                edges.push({ from: nodeByName[e.title], to: nodeByName[depName] });
-            }
-        });
-    });
-
-    // Compute total dimensions
-    let maxX = 0, maxY = 0;
-    nodes.forEach(n => {
-        const r = n.x + n.w / 2;
-        const b = n.y + n.h / 2;
-        if (r > maxX) maxX = r;
-        if (b > maxY) maxY = b;
-    });
+// SDK module badge config — one color per module
+const sdkBadgeConfig = {
+    arm:     { letter: 'A', cls: 'sdk-arm' },
+    base:    { letter: 'B', cls: 'sdk-base' },
+    gripper: { letter: 'G', cls: 'sdk-gripper' },
+    sensors: { letter: 'S', cls: 'sdk-sensors' },
+    yolo:    { letter: 'Y', cls: 'sdk-yolo' },
+    display: { letter: 'D', cls: 'sdk-display' },
+    rewind:  { letter: 'R', cls: 'sdk-rewind' }
+};
 
-    return { nodes, edges, totalW: maxX + 40, totalH: maxY + 40, maxLayer, hexW: hw, hexH: hh, vGap, labelPadLeft };
+function getSdkModules(entry) {
+    return [...new Set((entry.sdk_functions || []).map(f => f.split('.')[0]))];
 }
 
 function renderSkillTree(entries) {
@@ -1025,8 +1897,34 @@ function renderSkillTree(entries) {
     const edgesSvg = document.getElementById('tree-edges');
     if (!treeContainer || !nodesContainer || !edgesSvg) return;
 
-    const layout = computeTreeLayout(entries);
+    const treeState = document.getElementById('tree-state');
+    if (entries.length === 0) {
+        nodesContainer.innerHTML = '';
+        edgesSvg.innerHTML = '';
+        nodesContainer.style.height = '';
+        if (treeState) {
+            treeState.innerHTML = renderStateHTML(getGalleryState('skills'));
+            treeState.hidden = false;
+        }
+        renderTreeWarnings(null);
+        setTreeLayout(null);
+        return;
+    }
+
+    // Every skill title, so deps on skills the filters hid aren't "unresolved"
+    const known = (galleries.skills ? galleries.skills.allEntries : entries).map(e => e.title);
+    const layout = computeTreeLayout(entries, layoutConfig, { known });
     const cfg = layoutConfig;
+    renderTreeWarnings(layout);
+
+    if (treeState) {
+        treeState.innerHTML = layout.edges.length === 0 ? renderStateHTML({
+            kind: 'notice',
+            title: 'No dependencies yet',
+            message: 'None of these skills lists another skill in its deps.txt, so every one sits on the primitives row.'
+        }) : '';
+        treeState.hidden = layout.edges.length > 0;
+    }
 
     // Set container size
     nodesContainer.style.width = layout.totalW + 'px';
@@ -1049,22 +1947,29 @@ function renderSkillTree(entries) {
         nodesHTML += `<div class="tree-layer-label" style="top:${y}px;">${label}</div>`;
     });
 
-    // SDK module badge config — one color per module
-    const sdkBadgeConfig = {
-        arm:     { letter: 'A', cls: 'sdk-arm' },
-        base:    { letter: 'B', cls: 'sdk-base' },
-        gripper: { letter: 'G', cls: 'sdk-gripper' },
-        sensors: { letter: 'S', cls: 'sdk-sensors' },
-        yolo:    { letter: 'Y', cls: 'sdk-yolo' },
-        display: { letter: 'D', cls: 'sdk-display' },
-        rewind:  { letter: 'R', cls: 'sdk-rewind' }
-    };
-
     // Render hex cards
     layout.nodes.forEach((node, i) => {
         const entry = node.entry;
         const hexLeft = node.x - node.w / 2;
         const hexTop = node.y - node.h / 2;
+
+        if (node.ghost) {
+            const neededBy = layout.unresolved.find(u => u.name === entry.title)?.neededBy || [];
+            nodesHTML += `<div class="tree-hex-card tree-ghost-card hex-lg" data-title="${escapeHTML(entry.title)}" data-entry-index="${i}"
+                role="button" tabindex="0" aria-label="${escapeHTML(`${entry.title}, unresolved dependency of ${neededBy.join(', ')}`)}"
+                style="left:${hexLeft}px;top:${hexTop}px;width:${node.w}px;height:${node.h}px;">
+                <div class="hex-border">
+                    <div class="hex-inner">
+                        <div class="hex-content">
+                            <span class="hex-type">Unresolved</span>
+                            <h3 class="hex-title">${escapeHTML(entry.title)}</h3>
+                            <span class="hex-rate">needed by ${neededBy.length}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>`;
+            return;
+        }
         const typeColor = typeConfig[entry.type]?.color || '#ff6b00';
         const typeLabel = typeConfig[entry.type]?.label || entry.type;
         const title = entry.title || 'Untitled';
@@ -1074,12 +1979,12 @@ function renderSkillTree(entries) {
         // Derive SDK modules from sdk_functions
         let sdkBadgesHTML = '';
         if (entry.sdk_functions && entry.sdk_functions.length > 0) {
-            const modules = [...new Set(entry.sdk_functions.map(f => f.split('.')[0]))];
+            const modules = getSdkModules(entry);
             const badges = modules
                 .filter(m => sdkBadgeConfig[m])
                 .map(m => {
                     const cfg = sdkBadgeConfig[m];
-                    return `<span class="sdk-badge ${cfg.cls}" title="${m}">${cfg.letter}</span>`;
+                    return `<span class="sdk-badge ${cfg.cls}" title="${escapeHTML(m)}">${cfg.letter}</span>`;
                 })
                 .join('');
             if (badges) {
@@ -1087,7 +1992,8 @@ function renderSkillTree(entries) {
             }
         }
 
-        nodesHTML += `<div class="tree-hex-card hex-lg" data-title="${entry.title}" data-entry-index="${i}"
+        nodesHTML += `<div class="tree-hex-card hex-lg${node.inCycle ? ' in-cycle' : ''}" data-title="${escapeHTML(entry.title)}" data-entry-index="${i}"
+            role="button" tabindex="0" aria-label="${escapeHTML(`${title}, layer ${node.layer}${entry.success_rate != null ? `, ${entry.success_rate}% success` : ''}${node.inCycle ? ', part of a dependency cycle' : ''}`)}"
             style="left:${hexLeft}px;top:${hexTop}px;width:${node.w}px;height:${node.h}px;
                    --float-delay:${floatDelay}s;">
             <div class="hex-border">
@@ -1095,10 +2001,12 @@ function renderSkillTree(entries) {
                     <div class="hex-bg pattern-${patternIdx}"
                          style="--type-color:${typeColor};"></div>
                     <div class="hex-content">
-                        <span class="hex-type" style="color:${typeColor};">${typeLabel}</span>
-                        <h3 class="hex-title">${title}</h3>
-                        ${entry.success_rate != null ? `<span class="hex-rate"><span class="hex-rate-label">Success </span>${entry.success_rate}%</span>` : ''}
+                        <span class="hex-type" style="color:${typeColor};">${escapeHTML(typeLabel)}</span>
+                        <h3 class="hex-title">${escapeHTML(title)}</h3>
+                        ${entry.success_rate != null ? `<span class="hex-rate"><span class="hex-rate-label">Success </span>${escapeHTML(entry.success_rate)}%${rateTrendHTML(entry)}${rateDeltaHTML(entry)}</span>` : ''}
                         ${sdkBadgesHTML}
+                        ${capabilityMarkHTML(entry)}
+                        ${serviceRefBadgeHTML(entry)}
                     </div>
                 </div>
             </div>
@@ -1107,35 +2015,22 @@ function renderSkillTree(entries) {
 
     nodesContainer.innerHTML = nodesHTML;
 
-    // Render SVG edges
-    // Hex clip-path vertices: top at 3.75% of height, bottom at 96.25%
-    // Inset endpoints so edges connect at the hex boundary, not the bounding box
-    const hexInset = 0.13;
+    // Render SVG edges (long edges bend through their waypoints)
     let edgePaths = '';
     layout.edges.forEach(edge => {
-        const fromX = edge.from.x;
-        const fromY = edge.from.y + edge.from.h * (0.5 - hexInset); // bottom vertex of parent hex
-        const toX = edge.to.x;
-        const toY = edge.to.y - edge.to.h * (0.5 - hexInset); // top vertex of child hex
-        const midY = (fromY + toY) / 2;
-
-        edgePaths += `<path class="tree-edge-path" data-from="${edge.from.entry.title}" data-to="${edge.to.entry.title}"
-            d="M${fromX},${fromY} C${fromX},${midY} ${toX},${midY} ${toX},${toY}" />`;
+        const kind = edge.back ? ' tree-edge-back' : edge.unresolved ? ' tree-edge-unresolved' : '';
+        edgePaths += `<path class="tree-edge-path${kind}" data-from="${escapeHTML(edge.from.entry.title)}" data-to="${escapeHTML(edge.to.entry.title)}"
+            d="${treeEdgePath(edge)}" />`;
     });
     edgesSvg.innerHTML = edgePaths;
-
-    // Build adjacency lookup for hover highlighting
-    const byName = {};
-    entries.forEach(e => { byName[e.title] = e; });
-    const childrenOf = {};  // name → [child names] (direct dependencies)
-    const parentsOf = {};   // name → [parent names] (who depends on this)
-    entries.forEach(e => {
-        const deps = (e.dependencies || []).filter(d => byName[d]);
-        childrenOf[e.title] = deps;
-        deps.forEach(d => {
-            if (!parentsOf[d]) parentsOf[d] = [];
-            parentsOf[d].push(e.title);
-        });
+    setTreeLayout(layout);
+
+    // Build adjacency lookup for hover highlighting (ghosts and back edges included)
+    const childrenOf = Object.create(null);  // name → [child names] (direct dependencies)
+    const parentsOf = Object.create(null);   // name → [parent names] (who depends on this)
+    layout.edges.forEach(({ from, to }) => {
+        (childrenOf[from.entry.title] = childrenOf[from.entry.title] || []).push(to.entry.title);
+        (parentsOf[to.entry.title] = parentsOf[to.entry.title] || []).push(from.entry.title);
     });
 
     // Staggered entrance
@@ -1147,43 +2042,1264 @@ function renderSkillTree(entries) {
     nodesContainer.querySelectorAll('.tree-hex-card').forEach(card => {
         const title = card.dataset.title;
 
-        card.addEventListener('mouseenter', () => {
+        const highlight = () => {
             nodesContainer.classList.add('has-highlight');
 
-            // Highlight children (dependencies)
-            (childrenOf[title] || []).forEach(child => {
-                const el = nodesContainer.querySelector(`[data-title="${child}"]`);
-                if (el) el.classList.add('highlight-child');
-                edgesSvg.querySelectorAll(`[data-from="${title}"][data-to="${child}"]`)
-                    .forEach(p => p.classList.add('highlight-child'));
-            });
-
-            // Highlight parents (who depends on this)
-            (parentsOf[title] || []).forEach(parent => {
-                const el = nodesContainer.querySelector(`[data-title="${parent}"]`);
-                if (el) el.classList.add('highlight-parent');
-                edgesSvg.querySelectorAll(`[data-from="${parent}"][data-to="${title}"]`)
-                    .forEach(p => p.classList.add('highlight-parent'));
-            });
-        });
-
-        card.addEventListener('mouseleave', () => {
+            // Everything it pulls in (green) and everything that pulls it in
+            // (cyan), all the way down / up, with the edges along the way
+            const mark = (names, edgesFrom, cls) => {
+                names.forEach(name => {
+                    const el = nodesContainer.querySelector(`[data-title="${CSS.escape(name)}"]`);
+                    if (el) el.classList.add(cls);
+                });
+                [title, ...names].forEach(from => (edgesFrom[from] || []).forEach(to => {
+                    const [a, b] = edgesFrom === childrenOf ? [from, to] : [to, from];
+                    edgesSvg.querySelectorAll(`[data-from="${CSS.escape(a)}"][data-to="${CSS.escape(b)}"]`)
+                        .forEach(p => p.classList.add(cls));
+                }));
+            };
+            mark([...walkClosure(title, n => childrenOf[n]).keys()], childrenOf, 'highlight-child');
+            mark([...walkClosure(title, n => parentsOf[n]).keys()], parentsOf, 'highlight-parent');
+        };
+
+        const unhighlight = () => {
             nodesContainer.classList.remove('has-highlight');
             nodesContainer.querySelectorAll('.highlight-child, .highlight-parent')
                 .forEach(el => el.classList.remove('highlight-child', 'highlight-parent'));
             edgesSvg.querySelectorAll('.highlight-child, .highlight-parent')
                 .forEach(el => el.classList.remove('highlight-child', 'highlight-parent'));
-        });
+        };
+
+        card.addEventListener('mouseenter', highlight);
+        card.addEventListener('mouseleave', unhighlight);
+        card.addEventListener('focus', highlight);
+        card.addEventListener('blur', unhighlight);
 
         card.addEventListener('click', () => {
-            const g = galleries.skills;
-            if (!g) return;
-            const idx = g.entries.findIndex(e => e.title === title);
+            const idx = findEntryIndex('skills', title);
             if (idx >= 0) openPopup('skills', idx);
         });
+
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                card.click();
+                return;
+            }
+            const next = treeNeighbour(layout.nodes, parseInt(card.dataset.entryIndex, 10), e.key);
+            if (next < 0) return;
+            e.preventDefault();
+            const target = nodesContainer.querySelector(`.tree-hex-card[data-entry-index="${next}"]`);
+            if (target) {
+                target.focus({ preventScroll: true });
+                revealTreeNode(layout.nodes[next]);
+            }
+        });
     });
 }
 
+// Node to move to in the dependency tree: Left/Right stay in the layer,
+// Up/Down go to the closest node in the next layer up (composed) or down.
+function treeNeighbour(nodes, i, key) {
+    const cur = nodes[i];
+    if (!cur) return -1;
+    let candidates;
+    switch (key) {
+        case 'ArrowLeft': candidates = nodes.filter(n => n.layer === cur.layer && n.x < cur.x); break;
+        case 'ArrowRight': candidates = nodes.filter(n => n.layer === cur.layer && n.x > cur.x); break;
+        case 'ArrowUp': candidates = nodes.filter(n => n.layer === cur.layer + 1); break;
+        case 'ArrowDown': candidates = nodes.filter(n => n.layer === cur.layer - 1); break;
+        default: return -1;
+    }
+    if (candidates.length === 0) return -1;
+    const best = candidates.reduce((a, b) => Math.abs(b.x - cur.x) < Math.abs(a.x - cur.x) ? b : a);
+    return nodes.indexOf(best);
+}
+
+// Strip above the tree listing dependency cycles and unresolved deps.
+// Every skill name in it is a button that centers the tree on that node.
+function renderTreeWarnings(layout) {
+    const strip = document.getElementById('skills-tree-warnings');
+    if (!strip) return;
+    const cycles = layout ? layout.cycles : [];
+    const unresolved = layout ? layout.unresolved : [];
+    const count = cycles.length + unresolved.length;
+    strip.hidden = count === 0;
+    if (count === 0) {
+        strip.innerHTML = '';
+        return;
+    }
+
+    const nodeBtn = title => `<button class="tree-warning-node" data-title="${escapeHTML(title)}">${escapeHTML(title)}</button>`;
+    const items = [
+        ...cycles.map(cycle => `<li class="tree-warning tree-warning-cycle">
+            <span class="tree-warning-kind">Cycle</span> ${cycle.map(nodeBtn).join(' <span class="tree-warning-arrow">&rarr;</span> ')}
+        </li>`),
+        ...unresolved.map(u => `<li class="tree-warning tree-warning-unresolved">
+            <span class="tree-warning-kind">Unresolved</span> ${nodeBtn(u.name)} needed by ${u.neededBy.map(nodeBtn).join(', ')}
+        </li>`)
+    ];
+    strip.innerHTML = `<span class="tree-warnings-label">&#9888; ${count} dependency ${count === 1 ? 'warning' : 'warnings'}</span>
+        <ul class="tree-warnings-list">${items.join('')}</ul>`;
+}
+
+// ============================================
+// TREE VIEWPORT (pan / zoom / minimap)
+// ============================================
+// renderSkillTree lays the canvas out at 1:1; panning and zooming are a CSS
+// transform on top of it, so neither re-renders the nodes.
+
+const TREE_MIN_SCALE = 0.25;
+const TREE_MAX_SCALE = 2;
+const TREE_ZOOM_STEP = 1.25;
+const TREE_MINIMAP_MAX = { w: 180, h: 120 };
+
+const treeView = {
+    scale: 1, x: 0, y: 0,
+    layout: null,       // last computeTreeLayout result
+    signature: '',      // node titles, to tell a new tree from a refresh of the same one
+    needsFit: true      // fit once the viewport is visible and has a size
+};
+
+function treeViewportSize() {
+    const vp = document.getElementById('skills-tree');
+    return vp ? { w: vp.clientWidth, h: vp.clientHeight } : { w: 0, h: 0 };
+}
+
+// Keep the middle of the viewport over the tree so it can't be lost off-screen
+function clampTreeView() {
+    const { w, h } = treeViewportSize();
+    if (!treeView.layout) return;
+    const treeW = treeView.layout.totalW * treeView.scale;
+    const treeH = treeView.layout.totalH * treeView.scale;
+    treeView.x = clamp(treeView.x, w / 2 - treeW, w / 2);
+    treeView.y = clamp(treeView.y, h / 2 - treeH, h / 2);
+}
+
+function applyTreeTransform(ease) {
+    const canvas = document.getElementById('tree-canvas');
+    if (!canvas) return;
+    clampTreeView();
+    canvas.classList.toggle('easing', !!ease && !motionReduced());
+    canvas.style.transform = `translate(${treeView.x}px, ${treeView.y}px) scale(${treeView.scale})`;
+
+    const vp = document.getElementById('skills-tree');
+    vp.querySelectorAll('.tree-control-btn').forEach(btn => {
+        const dir = btn.dataset.treeZoom;
+        btn.disabled = (dir === 'in' && treeView.scale >= TREE_MAX_SCALE)
+            || (dir === 'out' && treeView.scale <= TREE_MIN_SCALE);
+    });
+    updateTreeMinimapView();
+}
+
+// Zoom to `scale`, keeping the canvas point under (px, py) — viewport
+// coordinates — where it is
+function zoomTreeAt(scale, px, py, ease) {
+    const next = clamp(scale, TREE_MIN_SCALE, TREE_MAX_SCALE);
+    const k = next / treeView.scale;
+    treeView.x = px - (px - treeView.x) * k;
+    treeView.y = py - (py - treeView.y) * k;
+    treeView.scale = next;
+    applyTreeTransform(ease);
+}
+
+function stepTreeZoom(dir) {
+    const { w, h } = treeViewportSize();
+    zoomTreeAt(treeView.scale * (dir > 0 ? TREE_ZOOM_STEP : 1 / TREE_ZOOM_STEP), w / 2, h / 2, true);
+}
+
+function panTree(dx, dy) {
+    treeView.x += dx;
+    treeView.y += dy;
+    applyTreeTransform(false);
+}
+
+// Whole tree in view, centered, never blown up past 1:1.
+// No-op while the tree pane is hidden; it fits when it's next shown.
+function fitTree(ease) {
+    const { w, h } = treeViewportSize();
+    if (!treeView.layout || !w || !h) return;
+    const { totalW, totalH } = treeView.layout;
+    treeView.scale = clamp(Math.min(w / totalW, h / totalH, 1), TREE_MIN_SCALE, TREE_MAX_SCALE);
+    treeView.x = (w - totalW * treeView.scale) / 2;
+    treeView.y = (h - totalH * treeView.scale) / 2;
+    treeView.needsFit = false;
+    applyTreeTransform(ease);
+}
+
+function centerTreeAt(cx, cy, scale, ease) {
+    const { w, h } = treeViewportSize();
+    treeView.scale = clamp(scale, TREE_MIN_SCALE, TREE_MAX_SCALE);
+    treeView.x = w / 2 - cx * treeView.scale;
+    treeView.y = h / 2 - cy * treeView.scale;
+    applyTreeTransform(ease);
+}
+
+// Center (and by default zoom to at least 1:1) on a skill's node.
+// Returns its card, or null if the skill isn't in the current tree.
+function centerTreeOn(title, scale) {
+    const node = treeView.layout && treeView.layout.nodes.find(n => n.entry.title === title);
+    if (!node) return null;
+    treeView.needsFit = false;
+    centerTreeAt(node.x, node.y, scale ?? Math.max(treeView.scale, 1), true);
+    return document.querySelector(`#tree-nodes .tree-hex-card[data-title="${CSS.escape(title)}"]`);
+}
+
+// Keyboard focus moved to a node: bring it back into view only if it left
+function revealTreeNode(node) {
+    const { w, h } = treeViewportSize();
+    const s = treeView.scale;
+    const left = treeView.x + (node.x - node.w / 2) * s;
+    const top = treeView.y + (node.y - node.h / 2) * s;
+    if (left < 0 || top < 0 || left + node.w * s > w || top + node.h * s > h) {
+        centerTreeAt(node.x, node.y, s, true);
+    }
+}
+
+// Called by renderSkillTree after every render
+function setTreeLayout(layout) {
+    const signature = layout ? layout.nodes.map(n => n.entry.title).join('\n') : '';
+    if (signature !== treeView.signature) treeView.needsFit = true;
+    treeView.signature = signature;
+    treeView.layout = layout;
+    renderTreeMinimap();
+    if (treeView.needsFit) fitTree(false);
+    else applyTreeTransform(false);
+}
+
+// ---- Minimap ----
+
+function treeMinimapScale() {
+    const { totalW, totalH } = treeView.layout;
+    return Math.min(TREE_MINIMAP_MAX.w / totalW, TREE_MINIMAP_MAX.h / totalH);
+}
+
+function renderTreeMinimap() {
+    const minimap = document.getElementById('tree-minimap');
+    if (!minimap) return;
+    const layout = treeView.layout;
+    if (!layout || layout.nodes.length === 0) {
+        minimap.innerHTML = '';
+        return;
+    }
+    const k = treeMinimapScale();
+    minimap.setAttribute('viewBox', `0 0 ${layout.totalW} ${layout.totalH}`);
+    minimap.setAttribute('width', Math.round(layout.totalW * k));
+    minimap.setAttribute('height', Math.round(layout.totalH * k));
+
+    const edges = layout.edges.map(e => {
+        const points = [e.from, ...e.waypoints, e.to].map(p => `${p.x},${p.y}`).join(' ');
+        return `<polyline class="tree-minimap-edge" points="${points}" vector-effect="non-scaling-stroke" />`;
+    }).join('');
+    const nodes = layout.nodes.map(n =>
+        `<rect class="tree-minimap-node" x="${n.x - n.w / 2}" y="${n.y - n.h * 0.4}" width="${n.w}" height="${n.h * 0.8}"
+            fill="${typeConfig[n.entry.type]?.color || '#ff6b00'}" />`
+    ).join('');
+    minimap.innerHTML = `${edges}${nodes}<rect class="tree-minimap-view" vector-effect="non-scaling-stroke" />`;
+    updateTreeMinimapView();
+}
+
+function updateTreeMinimapView() {
+    const rect = document.querySelector('#tree-minimap .tree-minimap-view');
+    if (!rect) return;
+    const { w, h } = treeViewportSize();
+    const s = treeView.scale;
+    rect.setAttribute('x', -treeView.x / s);
+    rect.setAttribute('y', -treeView.y / s);
+    rect.setAttribute('width', w / s);
+    rect.setAttribute('height', h / s);
+}
+
+// ---- Input ----
+
+function initTreeViewport() {
+    const vp = document.getElementById('skills-tree');
+    const minimap = document.getElementById('tree-minimap');
+    if (!vp) return;
+
+    const localPoint = (clientX, clientY) => {
+        const rect = vp.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    };
+
+    // Names in the warnings strip jump to their node
+    document.getElementById('skills-tree-warnings')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.tree-warning-node');
+        if (!btn) return;
+        const card = centerTreeOn(btn.dataset.title);
+        if (card) card.focus({ preventScroll: true });
+    });
+
+    // Zoom buttons
+    vp.querySelector('.tree-controls')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.tree-control-btn');
+        if (!btn) return;
+        const dir = btn.dataset.treeZoom;
+        if (dir === 'fit') fitTree(true);
+        else stepTreeZoom(dir === 'in' ? 1 : -1);
+    });
+
+    // + / - / 0 while focus is inside the tree
+    vp.addEventListener('keydown', (e) => {
+        if (e.target.closest('.tree-control-btn')) return;
+        if (e.key === '+' || e.key === '=') stepTreeZoom(1);
+        else if (e.key === '-') stepTreeZoom(-1);
+        else if (e.key === '0') fitTree(true);
+        else return;
+        e.preventDefault();
+    });
+
+    // Ctrl+wheel (and trackpad pinch, which browsers report as ctrl+wheel)
+    // zooms at the cursor; plain vertical wheel keeps scrolling the page and
+    // horizontal wheel pans (see setupGlobalEvents)
+    vp.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey && !e.metaKey) return;
+        e.preventDefault();
+        const p = localPoint(e.clientX, e.clientY);
+        zoomTreeAt(treeView.scale * Math.exp(-e.deltaY * 0.002), p.x, p.y, false);
+    }, { passive: false });
+
+    // Drag to pan on both axes
+    let drag = null;         // { x, y } last pointer position
+    let dragMoved = false;
+    const isChrome = (target) => target.closest('.tree-controls, .tree-minimap');
+
+    vp.addEventListener('mousedown', (e) => {
+        if (e.button !== 0 || isChrome(e.target)) return;
+        drag = { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY };
+        dragMoved = false;
+    });
+    window.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        if (!dragMoved && Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > 4) {
+            dragMoved = true;
+            vp.classList.add('panning');
+        }
+        if (dragMoved) panTree(e.clientX - drag.x, e.clientY - drag.y);
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+    });
+    window.addEventListener('mouseup', () => {
+        if (!drag) return;
+        drag = null;
+        vp.classList.remove('panning');
+    });
+
+    // Touch: one finger pans, two fingers pinch-zoom around their midpoint
+    let pinch = null;        // { dist, scale } when the second finger landed
+    const touchDist = (t) => Math.hypot(t[0].clientX - t[1].clientX, t[0].clientY - t[1].clientY);
+    const touchMid = (t) => localPoint((t[0].clientX + t[1].clientX) / 2, (t[0].clientY + t[1].clientY) / 2);
+
+    vp.addEventListener('touchstart', (e) => {
+        if (isChrome(e.target)) return;
+        dragMoved = false;
+        if (e.touches.length === 2) {
+            pinch = { dist: touchDist(e.touches), scale: treeView.scale, mid: touchMid(e.touches) };
+            drag = null;
+        } else if (e.touches.length === 1) {
+            const t = e.touches[0];
+            drag = { x: t.clientX, y: t.clientY, startX: t.clientX, startY: t.clientY };
+        }
+    }, { passive: true });
+    vp.addEventListener('touchmove', (e) => {
+        if (pinch && e.touches.length === 2) {
+            const mid = touchMid(e.touches);
+            treeView.x += mid.x - pinch.mid.x;
+            treeView.y += mid.y - pinch.mid.y;
+            pinch.mid = mid;
+            zoomTreeAt(pinch.scale * touchDist(e.touches) / pinch.dist, mid.x, mid.y, false);
+            dragMoved = true;
+        } else if (drag && e.touches.length === 1) {
+            const t = e.touches[0];
+            if (Math.hypot(t.clientX - drag.startX, t.clientY - drag.startY) > 8) dragMoved = true;
+            panTree(t.clientX - drag.x, t.clientY - drag.y);
+            drag.x = t.clientX;
+            drag.y = t.clientY;
+        }
+    }, { passive: true });
+    vp.addEventListener('touchend', (e) => {
+        if (e.touches.length < 2) pinch = null;
+        if (e.touches.length === 0) drag = null;
+    });
+
+    // Suppress click after drag on tree cards
+    vp.addEventListener('click', (e) => {
+        if (dragMoved) { e.stopPropagation(); dragMoved = false; }
+    }, true);
+
+    // Minimap: click or drag to move the view there
+    if (minimap) {
+        let scrubbing = false;
+        const scrubTo = (clientX, clientY, ease) => {
+            if (!treeView.layout) return;
+            const rect = minimap.getBoundingClientRect();
+            const k = treeMinimapScale();
+            centerTreeAt((clientX - rect.left) / k, (clientY - rect.top) / k, treeView.scale, ease);
+        };
+        minimap.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            scrubbing = true;
+            scrubTo(e.clientX, e.clientY, true);
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (scrubbing) scrubTo(e.clientX, e.clientY, false);
+        });
+        window.addEventListener('mouseup', () => { scrubbing = false; });
+        minimap.addEventListener('touchstart', (e) => {
+            scrubbing = true;
+            scrubTo(e.touches[0].clientX, e.touches[0].clientY, true);
+        }, { passive: true });
+        minimap.addEventListener('touchmove', (e) => {
+            if (!scrubbing) return;
+            e.preventDefault();
+            scrubTo(e.touches[0].clientX, e.touches[0].clientY, false);
+        }, { passive: false });
+        minimap.addEventListener('touchend', () => { scrubbing = false; });
+    }
+
+    window.addEventListener('resize', () => {
+        if (treeView.needsFit) fitTree(false);
+        else applyTreeTransform(false);
+    });
+}
+
+// ============================================
+// LOADING / EMPTY / ERROR STATES
+// ============================================
+
+function getGalleryState(name) {
+    const source = feedSource(GALLERY_FEEDS[name] || '');
+    if (failedFeeds[source]) {
+        return {
+            kind: 'error',
+            title: 'Feed offline',
+            message: `Couldn't load ${source} (${failedFeeds[source]}).`,
+            retry: true
+        };
+    }
+    const g = galleries[name];
+    if (!g || g.allEntries.length === 0) {
+        return { kind: 'empty', title: 'Nothing here yet', message: `${source} has no entries.` };
+    }
+    return { kind: 'filtered', title: 'No matches', message: 'Nothing matches the current search and filters.' };
+}
+
+function renderStateHTML(state) {
+    return `<div class="gallery-state state-${state.kind}">
+        <span class="state-title">${escapeHTML(state.title)}</span>
+        <p class="state-message">${escapeHTML(state.message)}</p>
+        ${state.retry ? '<button class="state-retry">Retry</button>' : ''}
+    </div>`;
+}
+
+// Placeholder hexes laid out like real ones while the feeds load
+function renderGallerySkeleton(section) {
+    const viewport = section.querySelector('.gallery-viewport');
+    const track = section.querySelector('.gallery-track');
+    const countEl = section.querySelector('.gallery-count');
+    if (!viewport || !track) return;
+
+    const cfg = layoutConfig;
+    const lineY = cfg.galleryH / 2;
+    const placeholders = Array.from({ length: 8 }, () => ({ type: 'repo' }));
+
+    viewport.style.height = cfg.galleryH + 'px';
+    track.style.width = '';
+    track.style.transform = '';
+    track.innerHTML = `<div class="gallery-line" style="top:${lineY}px;"></div>` +
+        computeLayout(placeholders, cfg).map(hex => `<div class="hex-skeleton"
+            style="left:${hex.x - hex.w / 2}px;top:${hex.y - hex.h / 2}px;width:${hex.w}px;height:${hex.h}px;"></div>`).join('');
+    if (countEl) countEl.textContent = 'loading…';
+}
+
+function renderTreeSkeleton() {
+    const nodesContainer = document.getElementById('tree-nodes');
+    const edgesSvg = document.getElementById('tree-edges');
+    const treeState = document.getElementById('tree-state');
+    if (!nodesContainer) return;
+
+    const layout = computeTreeLayout(Array.from({ length: 4 }, (_, i) => ({ title: `skeleton-${i}` })), layoutConfig);
+    nodesContainer.style.width = layout.totalW + 'px';
+    nodesContainer.style.height = layout.totalH + 'px';
+    nodesContainer.innerHTML = layout.nodes.map(n => `<div class="hex-skeleton"
+        style="left:${n.x - n.w / 2}px;top:${n.y - n.h / 2}px;width:${n.w}px;height:${n.h}px;"></div>`).join('');
+    if (edgesSvg) edgesSvg.innerHTML = '';
+    if (treeState) treeState.hidden = true;
+}
+
+async function retryFailedFeeds() {
+    for (const name in galleries) {
+        if (failedFeeds[feedSource(GALLERY_FEEDS[name])]) renderGallerySkeleton(galleries[name].section);
+    }
+    if (failedFeeds[feedSource(GALLERY_FEEDS.skills)]) renderTreeSkeleton();
+    await window.TidyBotTimeline.reload();
+}
+
+// ============================================
+// SEARCH & FACETS
+// ============================================
+
+const RATE_RANGES = {
+    untested: { label: 'Untested', test: e => e.success_rate != null && !e.total_trials },
+    low:      { label: '< 50%',    test: e => e.total_trials > 0 && e.success_rate < 50 },
+    mid:      { label: '50–99%',   test: e => e.total_trials > 0 && e.success_rate >= 50 && e.success_rate < 100 },
+    full:     { label: '100%',     test: e => e.total_trials > 0 && e.success_rate >= 100 }
+};
+
+// Each facet maps an entry to the values it can be filtered by.
+// Values within a facet are OR'd, facets are AND'd together.
+const FACETS = {
+    type:     { label: 'Type',     valuesOf: e => [e.type], labelOf: v => typeConfig[v]?.label || v, order: Object.keys(typeConfig) },
+    language: { label: 'Language', valuesOf: e => e.language ? [e.language] : [] },
+    sdk:      { label: 'SDK',      valuesOf: getSdkModules, order: Object.keys(sdkBadgeConfig) },
+    call:     { label: 'SDK call', valuesOf: e => e.sdk_functions || [], galleries: ['skills'] },
+    service:  { label: 'Service',  valuesOf: e => (e.service_dependencies || []).map(serviceRefTitle) },
+    rate:     { label: 'Success',  valuesOf: e => Object.keys(RATE_RANGES).filter(k => RATE_RANGES[k].test(e)), labelOf: v => RATE_RANGES[v].label, order: Object.keys(RATE_RANGES) }
+};
+
+const filterState = {
+    query: '',
+    facets: Object.fromEntries(Object.keys(FACETS).map(k => [k, new Set()]))
+};
+
+function isFiltering() {
+    return filterState.query !== '' || Object.values(filterState.facets).some(set => set.size > 0);
+}
+
+function matchesQuery(entry, terms) {
+    const haystack = [
+        entry.title, entry.description, entry.language, entry.repo, entry.author,
+        ...(entry.dependencies || []),
+        ...(entry.service_dependencies || []),
+        ...(entry.sdk_functions || [])
+    ].filter(Boolean).join(' ').toLowerCase();
+    return terms.every(t => haystack.includes(t));
+}
+
+// galleryName: where the entry is shown ('agents' for the agents grid); a
+// facet with `galleries` only narrows those and lets everything else through
+function matchesFilters(entry, galleryName) {
+    const terms = filterState.query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length > 0 && !matchesQuery(entry, terms)) return false;
+    for (const key in FACETS) {
+        const selected = filterState.facets[key];
+        if (selected.size === 0) continue;
+        if (FACETS[key].galleries && !FACETS[key].galleries.includes(galleryName)) continue;
+        if (!FACETS[key].valuesOf(entry).some(v => selected.has(v))) return false;
+    }
+    return true;
+}
+
+// keepPopup: a live refresh re-attaches the open popup itself (refreshOpenPopup)
+function applyFilters({ keepPopup = false } = {}) {
+    if (activePopup && !keepPopup) closePopup();
+
+    for (const name in galleries) {
+        const g = galleries[name];
+        g.entries = g.allEntries.filter(e => matchesFilters(e, name));
+        renderGallery(name);
+        g.scrollPos = clamp(g.scrollPos, 0, g.scrollMax);
+        scrollGallery(g, g.scrollTarget);
+    }
+    if (galleries.skills) renderSkillTree(galleries.skills.entries);
+    const agents = agentEntries.filter(e => matchesFilters(e, 'agents'));
+    renderAgents(agents);
+
+    const summary = document.getElementById('search-summary');
+    if (summary) {
+        let shown = agents.length, total = agentEntries.length;
+        for (const name in galleries) {
+            shown += galleries[name].entries.length;
+            total += galleries[name].allEntries.length;
+        }
+        summary.textContent = isFiltering() ? `${shown} / ${total} matches` : '';
+        if (!suppressRouteUpdates) {
+            announce(isFiltering() ? `${shown} of ${total} entries match` : `Showing all ${total} entries`);
+        }
+    }
+    const clearBtn = document.getElementById('search-clear');
+    if (clearBtn) clearBtn.disabled = !isFiltering();
+}
+
+function renderFacets() {
+    const container = document.getElementById('search-facets');
+    if (!container) return;
+
+    const all = [...agentEntries];
+    for (const name in galleries) all.push(...galleries[name].allEntries);
+
+    container.innerHTML = Object.entries(FACETS).map(([key, facet]) => {
+        const counts = Object.create(null);
+        all.forEach(e => facet.valuesOf(e).forEach(v => { counts[v] = (counts[v] || 0) + 1; }));
+        const values = Object.keys(counts).sort((a, b) => {
+            if (facet.order) return facet.order.indexOf(a) - facet.order.indexOf(b);
+            return a.localeCompare(b);
+        });
+        if (values.length === 0) return '';
+
+        const chips = values.map(v => {
+            const active = filterState.facets[key].has(v) ? ' active' : '';
+            const label = facet.labelOf ? facet.labelOf(v) : v;
+            return `<button class="facet-chip${active}" data-facet="${key}" data-value="${escapeHTML(v)}">
+                ${escapeHTML(label)}<span class="facet-count">${counts[v]}</span>
+            </button>`;
+        }).join('');
+
+        return `<div class="facet-group">
+            <span class="facet-label">${facet.label}</span>
+            <div class="facet-chips">${chips}</div>
+        </div>`;
+    }).join('');
+}
+
+// Center and zoom the dependency tree on the skill that best matches the
+// query — exact title, then title prefix, then any title hit, then the first
+// skill the filters left in
+function focusTreeMatch(query) {
+    const entries = galleries.skills.entries;
+    if (entries.length === 0) return;
+    const q = query.toLowerCase();
+    const title = e => (e.title || '').toLowerCase();
+    const match = (q && (entries.find(e => title(e) === q)
+        || entries.find(e => title(e).startsWith(q))
+        || entries.find(e => title(e).includes(q)))) || entries[0];
+
+    const card = centerTreeOn(match.title, Math.max(treeView.scale, 1));
+    if (!card) return;
+    card.focus({ preventScroll: true });
+    document.getElementById('skills-tree').scrollIntoView({ behavior: motionReduced() ? 'auto' : 'smooth', block: 'nearest' });
+    announce(`${match.title} centered in the dependency tree`);
+}
+
+function clearFilters() {
+    const input = document.getElementById('search-input');
+    if (input) input.value = '';
+    filterState.query = '';
+    Object.values(filterState.facets).forEach(set => set.clear());
+    document.querySelectorAll('#search-facets .facet-chip.active').forEach(c => c.classList.remove('active'));
+    applyFilters();
+    updateRoute('replace');
+}
+
+function initSearch() {
+    const input = document.getElementById('search-input');
+    const facets = document.getElementById('search-facets');
+    const clearBtn = document.getElementById('search-clear');
+    if (!input || !facets) return;
+
+    renderFacets();
+
+    let inputTimer;
+    input.addEventListener('input', () => {
+        clearTimeout(inputTimer);
+        inputTimer = setTimeout(() => {
+            filterState.query = input.value.trim();
+            applyFilters();
+            updateRoute('replace');
+        }, 120);
+    });
+
+    // Enter in the dependency tree: jump to the best match
+    input.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || galleryViews.skills !== 'tree' || !galleries.skills) return;
+        e.preventDefault();
+        clearTimeout(inputTimer);
+        if (filterState.query !== input.value.trim()) {
+            filterState.query = input.value.trim();
+            applyFilters();
+            updateRoute('replace');
+        }
+        focusTreeMatch(filterState.query);
+    });
+
+    facets.addEventListener('click', (e) => {
+        const chip = e.target.closest('.facet-chip');
+        if (!chip) return;
+        const selected = filterState.facets[chip.dataset.facet];
+        const value = chip.dataset.value;
+        if (selected.has(value)) selected.delete(value);
+        else selected.add(value);
+        chip.classList.toggle('active', selected.has(value));
+        applyFilters();
+        updateRoute('replace');
+    });
+
+    if (clearBtn) clearBtn.addEventListener('click', clearFilters);
+
+    applyFilters();
+}
+
+// ============================================
+// LIVE REFRESH
+// ============================================
+// fetch-repos.yml rewrites the feeds every 15 minutes and lab screens keep
+// this page open all day, so poll quietly and merge changes in place.
+
+const LIVE_POLL_MS = 2 * 60 * 1000;
+const RATE_BADGE_MS = 60 * 60 * 1000;   // how long a changed success rate stays flagged
+let refreshInFlight = null;
+
+// Flag entries that arrived or changed since the previous load, by key
+function markChanges(oldEntries, newEntries) {
+    if (oldEntries.length === 0) return;  // first load: nothing is "new"
+    const byKey = new Map(oldEntries.map(e => [entryKey(e), e]));
+
+    const now = Date.now();
+    newEntries.forEach(e => {
+        const prev = byKey.get(entryKey(e));
+        if (!prev) {
+            e._isNew = true;
+        } else if (prev.success_rate != null && e.success_rate != null && prev.success_rate !== e.success_rate) {
+            e._rateDelta = e.success_rate - prev.success_rate;
+            e._rateChangedAt = now;
+        } else if (prev._rateDelta && now - prev._rateChangedAt < RATE_BADGE_MS) {
+            e._rateDelta = prev._rateDelta;
+            e._rateChangedAt = prev._rateChangedAt;
+        }
+    });
+}
+
+function rateDeltaHTML(entry) {
+    if (!entry._rateDelta) return '';
+    const up = entry._rateDelta > 0;
+    const delta = Math.round(Math.abs(entry._rateDelta));
+    return `<span class="hex-rate-delta ${up ? 'up' : 'down'}" title="Changed since last update">${up ? '▲' : '▼'}${delta}</span>`;
+}
+
+function refreshFeeds(force) {
+    if (!refreshInFlight) {
+        refreshInFlight = doRefreshFeeds(force).finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+async function doRefreshFeeds(force) {
+    const before = feedVersion();
+    const [skills, services, activity, history] = await Promise.all([
+        loadRepos(GALLERY_FEEDS.skills),
+        loadServices(),
+        loadEntries(GALLERY_FEEDS.activity),
+        loadRateHistory()
+    ]);
+    renderDiagnostics();
+    if (!force && feedVersion() === before) return false;
+
+    if (history) rateHistory = history;
+
+    const { agents, nonAgents } = splitAgentServices(services);
+    const next = {
+        skills: prepareEntries(skills),
+        services: prepareEntries(nonAgents),
+        activity: prepareEntries(activity)
+    };
+
+    // Remember what's on screen so the refresh doesn't yank it away
+    let popupRef = null;
+    if (activePopup) {
+        const entry = galleries[activePopup.galleryName]?.entries[activePopup.index];
+        if (entry) popupRef = { galleryName: activePopup.galleryName, key: entryKey(entry) };
+    }
+    const pinnedToEnd = {};
+    for (const name in galleries) {
+        const g = galleries[name];
+        pinnedToEnd[name] = g.scrollMax > 0 && g.scrollTarget >= g.scrollMax - 1;
+    }
+
+    for (const name in next) {
+        const g = galleries[name];
+        if (!g) continue;
+        // A failed poll keeps the last good data on screen instead of blanking it
+        if (failedFeeds[feedSource(GALLERY_FEEDS[name])] && g.allEntries.length > 0) continue;
+        markChanges(g.allEntries, next[name]);
+        g.allEntries = next[name];
+    }
+    const arrivals = Object.keys(next).filter(name => galleries[name])
+        .map(name => [name, galleries[name].allEntries.filter(e => e._isNew).length])
+        .filter(([, n]) => n > 0);
+    if (arrivals.length > 0) {
+        announce('New: ' + arrivals.map(([name, n]) => `${n} ${name}`).join(', '));
+    }
+    if (!failedFeeds[feedSource(GALLERY_FEEDS.services)] || agentEntries.length === 0) {
+        agentEntries = prepareEntries(agents);
+        setKnownServices(services);
+    }
+    checkServiceRefs(galleries.skills ? galleries.skills.allEntries : []);
+    renderDiagnostics();
+
+    suppressRouteUpdates = true;
+    try {
+        renderFacets();
+        applyFilters({ keepPopup: popupRef !== null });
+        // Don't yank the checkboxes out from under someone ticking them
+        if (document.getElementById('capability-panel')?.contains(document.activeElement)) renderCapabilitySummary();
+        else renderCapabilityPanel();
+        for (const name in galleries) {
+            const g = galleries[name];
+            if (pinnedToEnd[name]) scrollGallery(g, g.scrollMax);
+        }
+        if (popupRef) refreshOpenPopup(popupRef);
+    } finally {
+        suppressRouteUpdates = false;
+    }
+    updateRoute('replace');
+    return true;
+}
+
+// Keep an open popup on its entry across a refresh: follow it to its new
+// index and redraw the body in place. No dialog close/open (which would move
+// focus) and no scroll to the hex (which would undo the kept scroll position).
+function refreshOpenPopup(ref) {
+    const index = findEntryIndex(ref.galleryName, ref.key);
+    if (index < 0) {
+        closePopup();
+        return;
+    }
+    deactivateHex(activePopup.galleryName, activePopup.index);
+    activePopup = { galleryName: ref.galleryName, index };
+    activateHex(ref.galleryName, index);
+
+    const card = document.querySelector('#popup-overlay .popup-card');
+    const scrollTop = card ? card.scrollTop : 0;
+    const hadFocus = document.getElementById('popup-inner').contains(document.activeElement);
+    renderPopupContent(ref.galleryName, galleries[ref.galleryName].entries[index]);
+    if (card) {
+        card.scrollTop = scrollTop;
+        if (hadFocus) card.focus({ preventScroll: true });
+    }
+}
+
+function initLiveRefresh() {
+    let lastPoll = Date.now();
+    const poll = () => {
+        if (document.hidden) return;
+        lastPoll = Date.now();
+        refreshFeeds(false).catch(e => console.error('Live refresh failed:', e));
+    };
+    setInterval(poll, LIVE_POLL_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && Date.now() - lastPoll > LIVE_POLL_MS) poll();
+    });
+}
+
+// ============================================
+// GALLERY VIEWS (timeline / tree / table / matrix)
+// ============================================
+
+const galleryViews = {};         // gallery name → 'timeline' | 'tree' | 'table' | 'matrix'
+const defaultGalleryViews = {};  // whichever button index.html marks active
+
+// Skills keeps the plain ?view= parameter so existing links still work
+function viewParam(name) {
+    return name === 'skills' ? 'view' : `${name}-view`;
+}
+
+function setGalleryView(name, view) {
+    const toggle = document.getElementById(`${name}-view-toggle`);
+    const section = document.querySelector(`.gallery-section[data-gallery="${CSS.escape(name)}"]`);
+    if (!toggle || !section) return;
+    const btn = toggle.querySelector(`.view-toggle-btn[data-view="${CSS.escape(view)}"]`);
+    if (!btn) return;
+    galleryViews[name] = view;
+
+    toggle.querySelectorAll('.view-toggle-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+
+    const panes = {
+        timeline: [section.querySelector('.gallery-viewport'), section.querySelector('.gallery-nav')],
+        tree: [document.getElementById(`${name}-tree`), document.getElementById(`${name}-tree-warnings`)],
+        table: [section.querySelector('.gallery-table-wrap')],
+        matrix: [section.querySelector('.sdk-matrix-wrap')]
+    };
+    for (const [v, els] of Object.entries(panes)) {
+        els.forEach(el => { if (el) el.style.display = v === view ? '' : 'none'; });
+    }
+    // Axis and zoom only shape the timeline
+    section.querySelectorAll('.gallery-axis-toggle, .gallery-zoom-toggle').forEach(el => {
+        el.style.display = view === 'timeline' ? '' : 'none';
+    });
+
+    const g = galleries[name];
+    if (view === 'timeline' && g) {
+        // Recalculate scrollMax now that viewport is visible
+        const trackW = g.track.offsetWidth;
+        g.scrollMax = Math.max(0, trackW - g.viewport.offsetWidth);
+        g.scrollPos = Math.min(g.scrollPos, g.scrollMax);
+        scrollGallery(g, g.scrollTarget);
+    }
+    if (view === 'table') renderGalleryTable(name);
+    if (view === 'matrix') renderSdkMatrix(name);
+    if (view === 'tree' && treeView.needsFit) fitTree(false);
+}
+
+function initViewToggles() {
+    document.querySelectorAll('.gallery-section[data-gallery]').forEach(section => {
+        const name = section.dataset.gallery;
+        const toggle = document.getElementById(`${name}-view-toggle`);
+        if (!toggle) return;
+        defaultGalleryViews[name] = toggle.querySelector('.view-toggle-btn.active')?.dataset.view || 'timeline';
+        galleryViews[name] = defaultGalleryViews[name];
+        setGalleryView(name, galleryViews[name]);
+
+        toggle.addEventListener('click', (e) => {
+            const btn = e.target.closest('.view-toggle-btn');
+            if (!btn) return;
+            setGalleryView(name, btn.dataset.view);
+            announce(`${name} shown as ${btn.textContent.trim()}`);
+            updateRoute('push');
+        });
+    });
+}
+
+// ============================================
+// TABLE VIEW
+// ============================================
+
+const listText = list => (list || []).join(', ');
+
+// sortValue: number | string | null (nulls always sort last)
+const TABLE_COLUMNS = [
+    { key: 'name', label: 'Name', sortValue: e => e.title.toLowerCase(), cell: e => escapeHTML(e.title) },
+    { key: 'type', label: 'Type', sortValue: e => (typeConfig[e.type]?.label || e.type), cell: e => escapeHTML(typeConfig[e.type]?.label || e.type) },
+    { key: 'created', label: 'Created', sortValue: e => e.timestamp || null, cell: e => escapeHTML((e.timestamp || '').slice(0, 10)) },
+    { key: 'updated', label: 'Updated', sortValue: e => e.updated_at || null, cell: e => escapeHTML((e.updated_at || '').slice(0, 10)) },
+    { key: 'rate', label: 'Success', numeric: true, sortValue: e => e.success_rate, cell: e => e.success_rate != null ? `${escapeHTML(e.success_rate)}%` : '' },
+    { key: 'trials', label: 'Trials', numeric: true, sortValue: e => e.total_trials, cell: e => escapeHTML(e.total_trials ?? '') },
+    { key: 'institutions', label: 'Institutions', numeric: true, sortValue: e => e.institutions_tested, cell: e => escapeHTML(e.institutions_tested ?? '') },
+    { key: 'deps', label: 'Dependencies', sortValue: e => listText(e.dependencies) || null, cell: e => escapeHTML(listText(e.dependencies)) },
+    { key: 'services', label: 'Services', sortValue: e => listText(e.service_dependencies) || null, cell: e => escapeHTML(listText(e.service_dependencies)) },
+    { key: 'sdk', label: 'SDK functions', sortValue: e => (e.sdk_functions || []).length || null, cell: e => escapeHTML(listText(e.sdk_functions)) }
+];
+
+function compareTableValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+function sortedTableRows(g) {
+    const sort = g.tableSort;
+    const column = TABLE_COLUMNS.find(c => c.key === sort.key) || TABLE_COLUMNS[0];
+    const rows = g.entries.map((entry, index) => ({ entry, index, value: column.sortValue(entry) }));
+    return rows.sort((a, b) => {
+        const aNull = a.value == null, bNull = b.value == null;
+        if (aNull || bNull) return aNull - bNull;
+        return compareTableValues(a.value, b.value) * sort.dir || a.index - b.index;
+    });
+}
+
+function renderGalleryTable(name) {
+    const g = galleries[name];
+    const wrap = g?.section.querySelector('.gallery-table-wrap');
+    if (!wrap || wrap.style.display === 'none') return;
+
+    if (g.entries.length === 0) {
+        wrap.innerHTML = renderStateHTML(getGalleryState(name));
+        return;
+    }
+
+    const label = g.section.querySelector('.gallery-label')?.textContent || name;
+    const head = TABLE_COLUMNS.map(c => {
+        const sorted = g.tableSort.key === c.key;
+        const ariaSort = sorted ? (g.tableSort.dir > 0 ? 'ascending' : 'descending') : 'none';
+        const arrow = sorted ? (g.tableSort.dir > 0 ? '▲' : '▼') : '';
+        return `<th scope="col" aria-sort="${ariaSort}"${c.numeric ? ' class="num"' : ''}>
+            <button class="table-sort" data-sort="${c.key}">${c.label}<span class="table-sort-arrow" aria-hidden="true">${arrow}</span></button>
+        </th>`;
+    }).join('');
+
+    const body = sortedTableRows(g).map(({ entry, index }) => {
+        const active = activePopup?.galleryName === name && activePopup.index === index ? ' active' : '';
+        const typeColor = typeConfig[entry.type]?.color || '#ff6b00';
+        const cells = TABLE_COLUMNS.map((c, i) => i === 0
+            ? `<th scope="row" style="--type-color:${typeColor};">${c.cell(entry)}</th>`
+            : `<td${c.numeric ? ' class="num"' : ''}>${c.cell(entry)}</td>`
+        ).join('');
+        return `<tr class="table-row${active}" data-index="${index}" tabindex="0">${cells}</tr>`;
+    }).join('');
+
+    wrap.innerHTML = `<table class="gallery-table">
+        <caption class="sr-only">${escapeHTML(label)}: ${g.entries.length} entries. Column headers sort; rows open details.</caption>
+        <thead><tr>${head}</tr></thead>
+        <tbody>${body}</tbody>
+    </table>`;
+}
+
+function setupTableEvents(name) {
+    const g = galleries[name];
+    const wrap = g?.section.querySelector('.gallery-table-wrap');
+    if (!wrap) return;
+
+    wrap.addEventListener('click', (e) => {
+        const sortBtn = e.target.closest('.table-sort');
+        if (sortBtn) {
+            const key = sortBtn.dataset.sort;
+            g.tableSort = g.tableSort.key === key
+                ? { key, dir: -g.tableSort.dir }
+                : { key, dir: TABLE_COLUMNS.find(c => c.key === key)?.numeric ? -1 : 1 };
+            renderGalleryTable(name);
+            wrap.querySelector(`.table-sort[data-sort="${CSS.escape(key)}"]`)?.focus();
+            return;
+        }
+        const row = e.target.closest('.table-row');
+        if (row) openPopup(name, parseInt(row.dataset.index, 10));
+    });
+
+    wrap.addEventListener('keydown', (e) => {
+        const row = e.target.closest('.table-row');
+        if (!row) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            row.click();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const next = e.key === 'ArrowDown' ? row.nextElementSibling : row.previousElementSibling;
+            if (next) next.focus();
+        }
+    });
+}
+
+// ============================================
+// SDK MATRIX (skills × robot_sdk functions)
+// ============================================
+// Rows are the skills the filters leave in; columns are every function any
+// skill lists in sdk.txt, grouped by module. Totals count all skills, so a
+// column's weight doesn't shift as you filter. Modules from sdkBadgeConfig
+// that nothing calls yet still get an (empty) column.
+
+// module → [functions], sdkBadgeConfig order first, functions alphabetical
+function sdkMatrixColumns(skills) {
+    const byModule = new Map(Object.keys(sdkBadgeConfig).map(m => [m, new Set()]));
+    skills.forEach(e => (e.sdk_functions || []).forEach(fn => {
+        const mod = fn.split('.')[0];
+        if (!byModule.has(mod)) byModule.set(mod, new Set());
+        byModule.get(mod).add(fn);
+    }));
+    const known = Object.keys(sdkBadgeConfig);
+    return [...byModule]
+        .sort(([a], [b]) => (known.includes(a) ? known.indexOf(a) : known.length) - (known.includes(b) ? known.indexOf(b) : known.length) || a.localeCompare(b))
+        .map(([mod, fns]) => ({ mod, fns: [...fns].sort() }));
+}
+
+function renderSdkMatrix(name) {
+    const g = galleries[name];
+    const wrap = g?.section.querySelector('.sdk-matrix-wrap');
+    if (!wrap || wrap.style.display === 'none') return;
+
+    const groups = sdkMatrixColumns(g.allEntries);
+    const columns = groups.flatMap(({ mod, fns }) => fns.length > 0 ? fns : [null]);
+    const totals = new Map();
+    g.allEntries.forEach(e => (e.sdk_functions || []).forEach(fn => totals.set(fn, (totals.get(fn) || 0) + 1)));
+    const maxTotal = Math.max(1, ...totals.values());
+    const selected = filterState.facets.call;
+
+    const moduleHead = groups.map(({ mod, fns }) => {
+        const cls = sdkBadgeConfig[mod]?.cls || '';
+        return `<th scope="colgroup" colspan="${Math.max(1, fns.length)}" class="sdk-matrix-module ${cls}">${escapeHTML(mod)}</th>`;
+    }).join('');
+    const fnHead = columns.map(fn => fn === null
+        ? '<th scope="col" class="sdk-matrix-fn unused"><span class="sdk-matrix-none">none yet</span></th>'
+        : `<th scope="col" class="sdk-matrix-fn${selected.has(fn) ? ' active' : ''}">
+            <button class="sdk-matrix-col" data-fn="${escapeHTML(fn)}" aria-pressed="${selected.has(fn)}"
+                title="Show only skills that call ${escapeHTML(fn)}">${escapeHTML(fn.split('.').slice(1).join('.') || fn)}</button>
+        </th>`
+    ).join('');
+
+    // ● the skill calls it, ○ one of its dependencies does
+    const rowHTML = (entry, index) => {
+        const own = new Set(entry.sdk_functions || []);
+        const { sdk } = skillClosure(entry.title);
+        const cells = columns.map(fn => {
+            if (fn === null) return '<td class="sdk-matrix-cell unused"></td>';
+            if (own.has(fn)) return `<td class="sdk-matrix-cell hit" title="${escapeHTML(`${entry.title} calls ${fn}`)}">&#9679;</td>`;
+            const via = (sdk.get(fn) || []).filter(n => n !== entry.title);
+            return via.length > 0
+                ? `<td class="sdk-matrix-cell via" title="${escapeHTML(`via ${via.join(', ')}`)}">&#9675;</td>`
+                : '<td class="sdk-matrix-cell"></td>';
+        }).join('');
+        const active = activePopup?.galleryName === name && activePopup.index === index ? ' active' : '';
+        const typeColor = typeConfig[entry.type]?.color || '#ff6b00';
+        return `<tr class="table-row${active}" data-index="${index}" tabindex="0">
+            <th scope="row" style="--type-color:${typeColor};">${escapeHTML(entry.title)}</th>${cells}
+        </tr>`;
+    };
+
+    // No rows left: the state goes in the body so the column buttons stay
+    // there to clear a call filter that matches nothing
+    const body = g.entries.length === 0
+        ? `<tr><td class="sdk-matrix-empty" colspan="${columns.length + 1}">${renderStateHTML(getGalleryState(name))}</td></tr>`
+        : g.entries.map(rowHTML).join('');
+
+    const foot = columns.map(fn => {
+        const total = fn === null ? 0 : totals.get(fn) || 0;
+        return `<td class="num sdk-matrix-total${total === 0 ? ' unused' : ''}" style="--heat:${(total / maxTotal).toFixed(2)};">${total}</td>`;
+    }).join('');
+
+    wrap.innerHTML = `<table class="gallery-table sdk-matrix">
+        <caption class="sr-only">SDK function use: ${g.entries.length} skills by ${columns.filter(Boolean).length} functions. Column buttons filter skills to callers of that function; rows open details.</caption>
+        <thead>
+            <tr><th scope="col" rowspan="2" class="sdk-matrix-corner">Skill</th>${moduleHead}</tr>
+            <tr>${fnHead}</tr>
+        </thead>
+        <tbody>${body}</tbody>
+        <tfoot><tr><th scope="row">Skills calling</th>${foot}</tr></tfoot>
+    </table>`;
+}
+
+// Column button: show only the skills that call that function (again to clear)
+function toggleSdkCallFilter(fn) {
+    const selected = filterState.facets.call;
+    const only = selected.size === 1 && selected.has(fn);
+    selected.clear();
+    if (!only) selected.add(fn);
+    renderFacets();
+    applyFilters();
+    updateRoute('push');
+}
+
+function setupSdkMatrixEvents(name) {
+    const g = galleries[name];
+    const wrap = g?.section.querySelector('.sdk-matrix-wrap');
+    if (!wrap) return;
+
+    wrap.addEventListener('click', (e) => {
+        const col = e.target.closest('.sdk-matrix-col');
+        if (col) {
+            toggleSdkCallFilter(col.dataset.fn);
+            wrap.querySelector(`.sdk-matrix-col[data-fn="${CSS.escape(col.dataset.fn)}"]`)?.focus();
+            return;
+        }
+        const row = e.target.closest('.table-row');
+        if (row) openPopup(name, parseInt(row.dataset.index, 10));
+    });
+
+    wrap.addEventListener('keydown', (e) => {
+        const row = e.target.closest('.table-row');
+        if (!row) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            row.click();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const next = e.key === 'ArrowDown' ? row.nextElementSibling : row.previousElementSibling;
+            if (next) next.focus();
+        }
+    });
+}
+
+// ============================================
+// ROUTING (deep links)
+// ============================================
+// #<gallery>[/<key>][?view=<view>&q=<query>&<facet>=<v1>,<v2>]
+// e.g. #skills/look-forward, #services/arm_franka_service, #skills?view=tree
+// Entries are keyed by repo name (commit sha for activity), never by index,
+// because prepareEntries renumbers them on every refresh.
+
+let suppressRouteUpdates = false;
+
+function entryKey(entry) {
+    return entry.sha || entry.title;
+}
+
+function findEntryIndex(galleryName, key) {
+    const g = galleries[galleryName];
+    if (!g) return -1;
+    return g.entries.findIndex(e => entryKey(e) === key);
+}
+
+function parseRoute(hash) {
+    const raw = hash.replace(/^#/, '');
+    const q = raw.indexOf('?');
+    const path = q >= 0 ? raw.slice(0, q) : raw;
+    const slash = path.indexOf('/');
+    return {
+        gallery: decodeURIComponent(slash >= 0 ? path.slice(0, slash) : path),
+        key: slash >= 0 ? decodeURIComponent(path.slice(slash + 1)) : '',
+        params: new URLSearchParams(q >= 0 ? raw.slice(q + 1) : '')
+    };
+}
+
+function buildRoute() {
+    const params = new URLSearchParams();
+    for (const name in defaultGalleryViews) {
+        if (galleryViews[name] !== defaultGalleryViews[name]) params.set(viewParam(name), galleryViews[name]);
+    }
+    if (filterState.query) params.set('q', filterState.query);
+    for (const key in filterState.facets) {
+        const selected = filterState.facets[key];
+        if (selected.size > 0) params.set(key, [...selected].join(','));
+    }
+
+    let path = '';
+    if (activePopup) {
+        const entry = galleries[activePopup.galleryName]?.entries[activePopup.index];
+        path = activePopup.galleryName + (entry ? '/' + encodeURIComponent(entryKey(entry)) : '');
+    } else {
+        path = Object.keys(defaultGalleryViews).find(name => params.has(viewParam(name))) || '';
+    }
+
+    const qs = params.toString();
+    return path || qs ? `#${path}${qs ? '?' + qs : ''}` : '';
+}
+
+function updateRoute(mode) {
+    if (suppressRouteUpdates) return;
+    const hash = buildRoute();
+    if (hash === location.hash || (!hash && !location.hash)) return;
+    const url = location.pathname + location.search + hash;
+    const state = activePopup ? { popup: true } : null;
+    if (mode === 'push') history.pushState(state, '', url);
+    else history.replaceState(state, '', url);
+}
+
+function applyRoute(scrollToGallery) {
+    const { gallery, key, params } = parseRoute(location.hash);
+    suppressRouteUpdates = true;
+    try {
+        for (const name in defaultGalleryViews) {
+            const view = params.get(viewParam(name)) || defaultGalleryViews[name];
+            if (view !== galleryViews[name]) setGalleryView(name, view);
+        }
+
+        const query = params.get('q') || '';
+        let filtersChanged = query !== filterState.query;
+        filterState.query = query;
+        for (const k in FACETS) {
+            const values = (params.get(k) || '').split(',').filter(Boolean);
+            const selected = filterState.facets[k];
+            if (values.length !== selected.size || values.some(v => !selected.has(v))) {
+                filterState.facets[k] = new Set(values);
+                filtersChanged = true;
+            }
+        }
+        if (filtersChanged) {
+            const input = document.getElementById('search-input');
+            if (input) input.value = query;
+            renderFacets();
+            applyFilters();
+        }
+
+        const index = key ? findEntryIndex(gallery, key) : -1;
+        if (index >= 0) {
+            if (!activePopup || activePopup.galleryName !== gallery || activePopup.index !== index) {
+                openPopup(gallery, index);
+            }
+        } else if (activePopup) {
+            closePopup();
+        }
+
+        if (scrollToGallery && galleries[gallery]) {
+            galleries[gallery].section.scrollIntoView({ block: 'start' });
+        }
+    } finally {
+        suppressRouteUpdates = false;
+    }
+}
+
+function initRouting() {
+    window.addEventListener('popstate', () => applyRoute(false));
+    window.addEventListener('hashchange', () => applyRoute(false));
+    if (location.hash) applyRoute(true);
+}
+
 // ============================================
 // INIT
 // ============================================
@@ -1193,140 +3309,93 @@ function initGallery(name, entries) {
     if (!section) return;
 
     galleries[name] = {
-        entries,
+        allEntries: entries,
+        entries: entries.filter(e => matchesFilters(e, name)),
         hexLayout: [],
+        axis: 'index',      // 'index' | 'time'
+        tableSort: { key: 'created', dir: 1 },
+        zoom: 'day',        // one of ZOOM_LEVELS; 'day' shows every entry
         scrollPos: 0,
         scrollTarget: 0,
         scrollMax: 0,
         dragging: false,
+        onScreen: true,     // cleared by the IntersectionObserver while scrolled away
         dragX: 0,
         dragScroll: 0,
         section,
         viewport: section.querySelector('.gallery-viewport'),
         track: section.querySelector('.gallery-track'),
-        progressFill: section.querySelector('.gallery-progress-fill'),
+        trackW: 0,
+        minimap: section.querySelector('.gallery-minimap'),
+        minimapWindow: section.querySelector('.minimap-window'),
         countEl: section.querySelector('.gallery-count')
     };
 
+    // Start scrolled to end (most recent); renderGallery clamps to scrollMax
+    const g = galleries[name];
+    g.scrollPos = g.scrollTarget = Infinity;
+
     renderGallery(name);
     setupGalleryEvents(name);
-
-    // Start scrolled to end (most recent)
-    const g = galleries[name];
-    g.scrollTarget = g.scrollMax;
-    g.scrollPos = g.scrollMax;
+    setupMinimapEvents(name);
+    setupTableEvents(name);
+    setupSdkMatrixEvents(name);
+    scrollGallery(g, g.scrollMax, true);
+    observeGallery(g);
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
     initHoneycomb();
     initParallax();
     initLightbox();
+    initDialogFocusTrap();
+
+    document.querySelectorAll('.gallery-section[data-gallery]').forEach(renderGallerySkeleton);
+    renderTreeSkeleton();
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.state-retry')) retryFailedFeeds();
+    });
 
-    const [skills, services] = await Promise.all([
-        loadRepos('./logs/repos.json'),
-        loadServices()
+    const [skills, services, activity, history] = await Promise.all([
+        loadRepos(GALLERY_FEEDS.skills),
+        loadServices(),
+        loadEntries(GALLERY_FEEDS.activity),
+        loadRateHistory()
     ]);
 
+    if (history) rateHistory = history;
     const { agents, nonAgents } = splitAgentServices(services);
+    setKnownServices(services);
+    checkServiceRefs(skills);
+    renderDiagnostics();
 
     // Skills: repos from Tidybot-Skills org
     const preparedSkills = prepareEntries(skills);
     initGallery('skills', preparedSkills);
 
     // Render the tree view (hidden initially)
-    renderSkillTree(preparedSkills);
-
-    // Toggle between timeline and tree views
-    const toggle = document.getElementById('skills-view-toggle');
-    if (toggle) {
-        const skillsSection = document.querySelector('.gallery-section[data-gallery="skills"]');
-        const galleryViewport = skillsSection?.querySelector('.gallery-viewport');
-        const galleryNav = skillsSection?.querySelector('.gallery-nav');
-        const treeViewport = document.getElementById('skills-tree');
-
-        toggle.addEventListener('click', (e) => {
-            const btn = e.target.closest('.view-toggle-btn');
-            if (!btn) return;
-            const view = btn.dataset.view;
+    renderSkillTree(galleries.skills ? galleries.skills.entries : preparedSkills);
 
-            toggle.querySelectorAll('.view-toggle-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-
-            if (view === 'tree') {
-                if (galleryViewport) galleryViewport.style.display = 'none';
-                if (galleryNav) galleryNav.style.display = 'none';
-                if (treeViewport) treeViewport.style.display = '';
-            } else {
-                if (galleryViewport) galleryViewport.style.display = '';
-                if (galleryNav) galleryNav.style.display = '';
-                if (treeViewport) treeViewport.style.display = 'none';
-                // Recalculate scrollMax now that viewport is visible
-                const g = galleries.skills;
-                if (g) {
-                    const trackW = g.track.offsetWidth;
-                    g.scrollMax = Math.max(0, trackW - g.viewport.offsetWidth);
-                    g.scrollTarget = Math.min(g.scrollTarget, g.scrollMax);
-                    g.scrollPos = Math.min(g.scrollPos, g.scrollMax);
-                }
-            }
-        });
-
-        // Drag-to-scroll for tree viewport
-        if (treeViewport) {
-            let treeDrag = false, treeDragX = 0, treeScrollStart = 0, treeDragMoved = false;
-
-            treeViewport.addEventListener('mousedown', (e) => {
-                treeDrag = true;
-                treeDragMoved = false;
-                treeDragX = e.clientX;
-                treeScrollStart = treeViewport.scrollLeft;
-            });
-            window.addEventListener('mousemove', (e) => {
-                if (!treeDrag) return;
-                const dx = treeDragX - e.clientX;
-                if (Math.abs(dx) > 4) {
-                    treeDragMoved = true;
-                    treeViewport.style.cursor = 'grabbing';
-                }
-                treeViewport.scrollLeft = treeScrollStart + dx;
-            });
-            window.addEventListener('mouseup', () => {
-                if (treeDrag) {
-                    treeDrag = false;
-                    treeViewport.style.cursor = 'grab';
-                }
-            });
-
-            // Touch drag
-            treeViewport.addEventListener('touchstart', (e) => {
-                treeDrag = true;
-                treeDragMoved = false;
-                treeDragX = e.touches[0].clientX;
-                treeScrollStart = treeViewport.scrollLeft;
-            }, { passive: true });
-            treeViewport.addEventListener('touchmove', (e) => {
-                if (!treeDrag) return;
-                const dx = treeDragX - e.touches[0].clientX;
-                if (Math.abs(dx) > 8) treeDragMoved = true;
-                treeViewport.scrollLeft = treeScrollStart + dx;
-            }, { passive: true });
-            treeViewport.addEventListener('touchend', () => { treeDrag = false; });
-
-            // Suppress click after drag on tree cards
-            treeViewport.addEventListener('click', (e) => {
-                if (treeDragMoved) { e.stopPropagation(); treeDragMoved = false; }
-            }, true);
-        }
-    }
+    // Pan / zoom / minimap for the tree viewport
+    initTreeViewport();
 
     // Agents: repos with "agent" in the name (the glue between skills and services)
-    renderAgents(prepareEntries(agents));
+    agentEntries = prepareEntries(agents);
+    renderAgents(agentEntries);
 
     // Services: remaining repos from TidyBot-Services org
     initGallery('services', prepareEntries(nonAgents));
 
+    // Activity: recent commits across the org (fetch-commits workflow)
+    initGallery('activity', prepareEntries(activity));
+
+    initViewToggles();
+    initCapabilityChecker();
+    initSearch();
+    initRouting();
+    initLiveRefresh();
     setupGlobalEvents();
-    tick();
+    initMotionToggle();
     initTaglineRotator();
     if (typeof initWishlist === 'function') initWishlist();
 });
@@ -1366,6 +3435,16 @@ function initTaglineRotator() {
     function step() {
         const current = TAGLINES[currentIndex];
 
+        // No typing effect: show each tagline whole, swapping occasionally
+        if (motionReduced()) {
+            el.textContent = current;
+            charIndex = 0;
+            isDeleting = false;
+            currentIndex = (currentIndex + 1) % TAGLINES.length;
+            pauseTimer = setTimeout(step, PAUSE_AFTER_TYPE * 2);
+            return;
+        }
+
         if (!isDeleting) {
             // Typing
             charIndex++;
@@ -1402,17 +3481,12 @@ function initTaglineRotator() {
 
 // Export
 window.TidyBotTimeline = {
-    openEntry: (gallery, index) => openPopup(gallery, index),
+    openEntry: (gallery, indexOrName) => {
+        if (typeof indexOrName !== 'string') return openPopup(gallery, indexOrName);
+        if (!openEntryPopup(gallery, indexOrName)) {
+            console.error(`TidyBotTimeline.openEntry: no ${gallery} entry named "${indexOrName}"`);
+        }
+    },
     getGallery: (name) => galleries[name],
-    reload: async () => {
-        const [skills, services] = await Promise.all([
-            loadRepos('./logs/repos.json'),
-            loadServices()
-        ]);
-        const { agents, nonAgents } = splitAgentServices(services);
-        galleries.skills && (galleries.skills.entries = prepareEntries(skills));
-        renderAgents(prepareEntries(agents));
-        galleries.services && (galleries.services.entries = prepareEntries(nonAgents));
-        for (const n in galleries) renderGallery(n);
-    }
+    reload: () => refreshFeeds(true)
 };
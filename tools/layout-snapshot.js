@@ -0,0 +1,152 @@
+// ============================================
+// LAYOUT SNAPSHOT — lays out a logs/*.json feed
+// with layout.js outside the browser. Prints the
+// positions as JSON (for snapshot diffs) or as a
+// static SVG of the timeline / dependency tree.
+//
+//   node tools/layout-snapshot.js logs/repos.json
+//   node tools/layout-snapshot.js logs/entries.json --axis time --zoom week
+//   node tools/layout-snapshot.js logs/repos.json --tree --svg > tree.svg
+//   node tools/layout-snapshot.js tools/fixtures/repos-edge-cases.json --tree
+//
+// Records are checked with validate.js first; what the page would list in
+// its diagnostics panel goes to stderr.
+//
+// Options: --width <px> (default 1440), --axis index|time,
+// --zoom all|month|week|day, --tree, --svg
+// ============================================
+
+const fs = require('fs');
+const L = require('../layout.js');
+const V = require('../validate.js');
+
+// Mirrors typeConfig colors in script.js
+const TYPE_COLORS = {
+    setup: '#9d4edd', feature: '#39ff14', fix: '#ff3366', refactor: '#ff6b00',
+    test: '#00d4ff', docs: '#6b6b7b', deploy: '#ff6b00', repo: '#00d4ff'
+};
+
+function parseArgs(argv) {
+    const opts = { file: '', width: 1440, axis: 'index', zoom: 'day', tree: false, svg: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--width') opts.width = Number(argv[++i]);
+        else if (arg === '--axis') opts.axis = argv[++i];
+        else if (arg === '--zoom') opts.zoom = argv[++i];
+        else if (arg === '--tree') opts.tree = true;
+        else if (arg === '--svg') opts.svg = true;
+        else opts.file = arg;
+    }
+    return opts;
+}
+
+// Mirrors IGNORED_REPOS in script.js
+const IGNORED_REPOS = ['wishlist', 'services_wishlist', 'backend_wishlist', 'Tidybot-Universe'];
+
+// repos.json / services.json records are validated against REPO_SCHEMA and
+// become 'repo' entries the way loadRepos does, ignored repos left out.
+// (loadServices' agent split and service types are not applied.)
+// entries.json records are validated against ENTRY_SCHEMA and are already entries.
+function toEntries(data, source) {
+    const isRepoFeed = Array.isArray(data) && data.some(r => r && typeof r.name === 'string');
+    const records = V.validateRecords(data, isRepoFeed ? V.REPO_SCHEMA : V.ENTRY_SCHEMA, source);
+    V.diagnostics.forEach(d => {
+        console.error(`${d.source}: ${d.level}: ${[d.record, d.field].filter(Boolean).join(' ')}${d.record || d.field ? ': ' : ''}${d.message}`);
+    });
+
+    const entries = !isRepoFeed ? records : records
+        .filter(r => !IGNORED_REPOS.includes(r.name))
+        .map(r => ({
+            title: r.name,
+            type: 'repo',
+            timestamp: r.created_at ? new Date(r.created_at).toISOString().slice(0, 16).replace('T', ' ') : '',
+            dependencies: r.dependencies || []
+        }));
+    return entries.sort((a, b) => new Date((a.timestamp || '').replace(' ', 'T')) - new Date((b.timestamp || '').replace(' ', 'T')));
+}
+
+const round = v => Math.round(v * 10) / 10;
+
+function hexPoints(x, y, w, h) {
+    return [[0, -h / 2], [w / 2, -h / 4], [w / 2, h / 4], [0, h / 2], [-w / 2, h / 4], [-w / 2, -h / 4]]
+        .map(([dx, dy]) => `${round(x + dx)},${round(y + dy)}`).join(' ');
+}
+
+function escapeXML(str) {
+    return String(str).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function hexSVG(entry, x, y, w, h) {
+    const color = TYPE_COLORS[entry.type] || '#ff6b00';
+    const label = entry._cluster ? `${entry.bucketLabel} (${entry.entries.length})` : entry.title;
+    return `<polygon points="${hexPoints(x, y, w, h)}" fill="#1a1a24" stroke="${color}" stroke-width="2"/>
+<text x="${round(x)}" y="${round(y)}" fill="#fff" font-size="${round(w / 12)}" text-anchor="middle">${escapeXML(label)}</text>`;
+}
+
+function gallerySnapshot(entries, cfg, opts) {
+    const layout = L.computeGalleryLayout(entries, cfg, { axis: opts.axis, zoom: opts.zoom });
+    if (!opts.svg) {
+        return JSON.stringify({
+            width: round(layout.width),
+            height: layout.height,
+            hexes: layout.hexes.map(h => ({
+                title: h.entry._cluster ? h.entry.bucketLabel : h.entry.title,
+                count: h.entry._cluster ? h.entry.entries.length : undefined,
+                x: round(h.x), y: round(h.y), w: h.w, h: h.h, sizeClass: h.sizeClass
+            })),
+            ticks: layout.ticks.map(t => ({ label: t.label, kind: t.kind, x: round(t.x) }))
+        }, null, 2);
+    }
+
+    const lineY = layout.height / 2;
+    const body = [
+        `<line x1="0" y1="${lineY}" x2="${round(layout.width)}" y2="${lineY}" stroke="#5a189a" stroke-width="2"/>`,
+        ...layout.ticks.map(t => `<text x="${round(t.x)}" y="${lineY + 16}" fill="#6b6b7b" font-size="11" text-anchor="middle">${escapeXML(t.label)}</text>`),
+        ...layout.hexes.map(h => `<line x1="${round(h.x)}" y1="${round(h.y)}" x2="${round(h.x)}" y2="${lineY}" stroke="#2a2a3a"/>`),
+        ...layout.hexes.map(h => hexSVG(h.entry, h.x, h.y, h.w, h.h))
+    ];
+    return svgDocument(layout.width, layout.height, body);
+}
+
+function treeSnapshot(entries, cfg, opts) {
+    const layout = L.computeTreeLayout(entries, cfg);
+    if (!opts.svg) {
+        return JSON.stringify({
+            width: round(layout.totalW),
+            height: round(layout.totalH),
+            crossings: layout.crossings,
+            cycles: layout.cycles,
+            unresolved: layout.unresolved,
+            nodes: layout.nodes.map(n => ({ title: n.entry.title, layer: n.layer, x: round(n.x), y: round(n.y), ghost: n.ghost })),
+            edges: layout.edges.map(e => ({
+                from: e.from.entry.title,
+                to: e.to.entry.title,
+                back: e.back,
+                waypoints: e.waypoints.length > 0 ? e.waypoints.map(p => ({ x: round(p.x), y: round(p.y) })) : undefined
+            }))
+        }, null, 2);
+    }
+
+    const body = [
+        ...layout.edges.map(e => `<path d="${L.treeEdgePath(e)}" fill="none" stroke="#ff6b00" stroke-opacity="0.5" stroke-width="2"/>`),
+        ...layout.nodes.map(n => hexSVG(n.entry, n.x, n.y, n.w, n.h))
+    ];
+    return svgDocument(layout.totalW, layout.totalH, body);
+}
+
+function svgDocument(width, height, body) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" font-family="monospace">
+<rect width="100%" height="100%" fill="#161620"/>
+${body.join('\n')}
+</svg>`;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (!opts.file) {
+    console.error('usage: node tools/layout-snapshot.js <feed.json> [--width px] [--axis index|time] [--zoom level] [--tree] [--svg]');
+    process.exit(1);
+}
+
+const entries = toEntries(JSON.parse(fs.readFileSync(opts.file, 'utf8')), opts.file.split('/').pop());
+const cfg = L.getLayoutConfig(opts.width);
+console.log(opts.tree ? treeSnapshot(entries, cfg, opts) : gallerySnapshot(entries, cfg, opts));
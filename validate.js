@@ -0,0 +1,268 @@
+// ============================================
+// VALIDATE — Schema checks for the logs/*.json
+// feeds. Bad records are repaired or dropped,
+// and every fix is reported in the diagnostics
+// panel so maintainers can see what broke.
+// Loaded as a plain script in the browser and
+// with require() from Node (tools/).
+// ============================================
+
+// Field types: string, number, date (ISO 8601), timestamp (YYYY-MM-DD HH:MM),
+// day (YYYY-MM-DD), url, enum, array (of strings). Anything not declared is
+// passed through.
+const REPO_SCHEMA = {
+    key: 'name',
+    fields: {
+        name:                 { type: 'string', required: true, unique: true },
+        description:          { type: 'string' },
+        created_at:           { type: 'date' },
+        updated_at:           { type: 'date' },
+        html_url:             { type: 'url' },
+        language:             { type: 'string' },
+        stars:                { type: 'number', min: 0 },
+        success_rate:         { type: 'number', min: 0, max: 100 },
+        total_trials:         { type: 'number', min: 0 },
+        institutions_tested:  { type: 'number', min: 0 },
+        trial_images:         { type: 'array' },
+        dependencies:         { type: 'array' },
+        service_dependencies: { type: 'array' },
+        sdk_functions:        { type: 'array' }
+    }
+};
+
+const ENTRY_SCHEMA = {
+    key: 'sha',
+    fields: {
+        timestamp:   { type: 'timestamp', required: true },
+        type:        { type: 'enum', values: ['setup', 'feature', 'fix', 'refactor', 'test', 'docs', 'deploy'], fallback: 'feature' },
+        title:       { type: 'string', required: true },
+        description: { type: 'string' },
+        files:       { type: 'array' },
+        sha:         { type: 'string' },
+        repo:        { type: 'string' },
+        author:      { type: 'string' }
+    }
+};
+
+// One line per skill per day, appended by the Fetch Repos workflow
+const HISTORY_SCHEMA = {
+    key: 'name',
+    fields: {
+        date:                { type: 'day', required: true },
+        name:                { type: 'string', required: true },
+        success_rate:        { type: 'number', min: 0, max: 100 },
+        total_trials:        { type: 'number', min: 0 },
+        institutions_tested: { type: 'number', min: 0 }
+    }
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const diagnostics = [];  // { source, level: 'error' | 'warning', record, field, message }
+
+function addDiagnostic(d) {
+    diagnostics.push(d);
+}
+
+function clearDiagnostics(source) {
+    for (let i = diagnostics.length - 1; i >= 0; i--) {
+        if (diagnostics[i].source === source) diagnostics.splice(i, 1);
+    }
+}
+
+// ============================================
+// FIELD CHECKS
+// ============================================
+
+// Returns { ok } when the value is fine, { value, message } when it was
+// repaired, or { drop, message } when the field has to be removed.
+function checkField(value, spec) {
+    switch (spec.type) {
+        case 'string':
+            if (typeof value === 'string') return { ok: true };
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                return { value: String(value), message: `expected string, got ${typeof value}` };
+            }
+            return { drop: true, message: `expected string, got ${describe(value)}` };
+
+        case 'number': {
+            let n = value;
+            let message = '';
+            if (typeof n === 'string' && n.trim() !== '' && !isNaN(Number(n))) {
+                n = Number(n);
+                message = 'numeric string converted to number';
+            }
+            if (typeof n !== 'number' || !isFinite(n)) {
+                return { drop: true, message: `expected number, got ${describe(value)}` };
+            }
+            if (spec.min != null && n < spec.min) {
+                return { value: spec.min, message: `${n} is below ${spec.min}, clamped` };
+            }
+            if (spec.max != null && n > spec.max) {
+                return { value: spec.max, message: `${n} is above ${spec.max}, clamped` };
+            }
+            return message ? { value: n, message } : { ok: true };
+        }
+
+        case 'date':
+            if (typeof value === 'string' && ISO_DATE_RE.test(value) && !isNaN(Date.parse(value))) return { ok: true };
+            return { drop: true, message: `not an ISO 8601 date: ${describe(value)}` };
+
+        case 'timestamp':
+            if (typeof value === 'string' && TIMESTAMP_RE.test(value) && !isNaN(Date.parse(value.replace(' ', 'T')))) {
+                return { ok: true };
+            }
+            if (typeof value === 'string' && ISO_DATE_RE.test(value) && !isNaN(Date.parse(value))) {
+                return {
+                    value: new Date(value).toISOString().slice(0, 16).replace('T', ' '),
+                    message: 'ISO date converted to YYYY-MM-DD HH:MM'
+                };
+            }
+            return { drop: true, message: `not a YYYY-MM-DD HH:MM timestamp: ${describe(value)}` };
+
+        case 'day':
+            if (typeof value === 'string' && DAY_RE.test(value) && !isNaN(Date.parse(value))) return { ok: true };
+            return { drop: true, message: `not a YYYY-MM-DD date: ${describe(value)}` };
+
+        case 'url':
+            if (typeof value === 'string' && /^https?:\/\//i.test(value)) return { ok: true };
+            return { drop: true, message: `not an http(s) URL: ${describe(value)}` };
+
+        case 'enum':
+            if (spec.values.includes(value)) return { ok: true };
+            return { value: spec.fallback, message: `unknown value ${describe(value)}, using "${spec.fallback}"` };
+
+        case 'array': {
+            if (Array.isArray(value)) {
+                const strings = value.filter(v => typeof v === 'string');
+                if (strings.length === value.length) return { ok: true };
+                return { value: strings, message: `${value.length - strings.length} non-string item(s) removed` };
+            }
+            if (typeof value === 'string') {
+                const parts = value.split(/[,\n]/).map(v => v.trim()).filter(Boolean);
+                return { value: parts, message: 'string split into array' };
+            }
+            return { value: [], message: `expected array, got ${describe(value)}` };
+        }
+    }
+    return { ok: true };
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'string') return `"${value.length > 40 ? value.slice(0, 40) + '…' : value}"`;
+    if (typeof value === 'object') return 'object';
+    return String(value);
+}
+
+// ============================================
+// RECORD VALIDATION
+// ============================================
+
+function validateRecords(data, schema, source) {
+    if (!Array.isArray(data)) {
+        addDiagnostic({ source, level: 'error', record: '', field: '', message: `expected a JSON array, got ${describe(data)}` });
+        return [];
+    }
+
+    const seen = new Map();  // unique value → record number (a Map, so "constructor" is just a name)
+    const valid = [];
+
+    data.forEach((raw, i) => {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            addDiagnostic({ source, level: 'error', record: `#${i + 1}`, field: '', message: `record is ${describe(raw)}, dropped` });
+            return;
+        }
+
+        const keyValue = raw[schema.key];
+        const label = typeof keyValue === 'string' && keyValue ? keyValue : `#${i + 1}`;
+        const record = { ...raw };
+        let dropped = false;
+
+        for (const [field, spec] of Object.entries(schema.fields)) {
+            const value = record[field];
+            if (value === undefined || value === null || value === '') {
+                if (spec.required) {
+                    addDiagnostic({ source, level: 'error', record: label, field, message: 'required field missing, record dropped' });
+                    dropped = true;
+                    break;
+                }
+                continue;
+            }
+
+            const result = checkField(value, spec);
+            if (result.ok) continue;
+            if (result.drop) {
+                if (spec.required) {
+                    addDiagnostic({ source, level: 'error', record: label, field, message: `${result.message}, record dropped` });
+                    dropped = true;
+                    break;
+                }
+                delete record[field];
+                addDiagnostic({ source, level: 'warning', record: label, field, message: `${result.message}, field removed` });
+            } else {
+                record[field] = result.value;
+                addDiagnostic({ source, level: 'warning', record: label, field, message: result.message });
+            }
+        }
+        if (dropped) return;
+
+        for (const [field, spec] of Object.entries(schema.fields)) {
+            if (!spec.unique) continue;
+            const v = record[field];
+            if (seen.has(v)) {
+                addDiagnostic({ source, level: 'error', record: label, field, message: `duplicate of record #${seen.get(v)}, dropped` });
+                dropped = true;
+                break;
+            }
+            seen.set(v, i + 1);
+        }
+        if (!dropped) valid.push(record);
+    });
+
+    return valid;
+}
+
+// ============================================
+// DIAGNOSTICS PANEL
+// ============================================
+
+function renderDiagnostics() {
+    const panel = document.getElementById('diagnostics-panel');
+    if (!panel) return;
+
+    if (diagnostics.length === 0) {
+        panel.hidden = true;
+        return;
+    }
+
+    const errors = diagnostics.filter(d => d.level === 'error').length;
+    const warnings = diagnostics.length - errors;
+    const parts = [];
+    if (errors) parts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+    if (warnings) parts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+    panel.querySelector('.diagnostics-count').textContent = parts.join(' · ');
+    panel.classList.toggle('has-errors', errors > 0);
+    panel.querySelector('.diagnostics-list').innerHTML = diagnostics.map(d => `
+        <li class="diagnostics-item diagnostics-${d.level}">
+            <span class="diagnostics-source">${escapeHTML(d.source)}</span>
+            ${d.record ? `<span class="diagnostics-record">${escapeHTML(d.record)}</span>` : ''}
+            ${d.field ? `<code class="diagnostics-field">${escapeHTML(d.field)}</code>` : ''}
+            <span class="diagnostics-message">${escapeHTML(d.message)}</span>
+        </li>`).join('');
+    panel.hidden = false;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPO_SCHEMA,
+        ENTRY_SCHEMA,
+        HISTORY_SCHEMA,
+        diagnostics,
+        validateRecords
+    };
+}
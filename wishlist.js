@@ -168,7 +168,7 @@ function updateAuthUI() {
     if (wishlistState.user) {
         const u = wishlistState.user;
         const avatarHTML = u.picture
-            ? `<img class="wishlist-user-avatar" src="${escapeHTML(u.picture)}" alt="" referrerpolicy="no-referrer">`
+            ? `<img class="wishlist-user-avatar" src="${attrURL(u.picture)}" alt="" referrerpolicy="no-referrer">`
             : '';
         authDiv.innerHTML = `
             <div class="wishlist-user-info">
@@ -195,8 +195,10 @@ function toggleWishlistForm(show) {
     if (show) {
         form.reset();
         overlay.classList.add('open');
+        openDialog(overlay, form.querySelector('[name="title"]'));
     } else {
         overlay.classList.remove('open');
+        closeDialog(overlay);
     }
     wishlistState.formOpen = show;
 }
@@ -412,13 +414,6 @@ async function handleSubmit() {
 // HELPERS
 // ============================================
 
-function escapeHTML(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-}
-
 function formatTimeAgo(isoStr) {
     if (!isoStr) return '';
     const now = Date.now();